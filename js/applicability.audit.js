@@ -0,0 +1,303 @@
+/**
+ * @file
+ * Accessibility audit of the rendered page.
+ *
+ * The ARIA attributes are partly patched at runtime (e.g. by the
+ * bootstrap-accessibility extensions and the file type icons), so the audit
+ * runs on the live DOM once the behaviors are attached, and lists the issues
+ * in a debug overlay. Add "?applicability-audit" to the URL to turn it on.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * The link targets opening a new window.
+   *
+   * @type {RegExp}
+   */
+  var NEW_WINDOW_TARGET = /^(?!_self$|_parent$|_top$)./i;
+
+  /**
+   * Texts warning that a link opens a new window.
+   *
+   * @type {RegExp}
+   */
+  var NEW_WINDOW_WARNING = /nueva (ventana|pestaña)|new (window|tab)/i;
+
+  /**
+   * Retrieves the text of an element as read by assistive technologies.
+   *
+   * @param {Node} node
+   *   The node.
+   *
+   * @return {String}
+   *   Its text, without the aria-hidden elements and with the alternative text
+   *   of the images.
+   */
+  var text = function (node) {
+    if (node.nodeType === 3) {
+      return node.nodeValue;
+    }
+    if (node.nodeType !== 1 || node.getAttribute('aria-hidden') === 'true') {
+      return '';
+    }
+    if ($(node).is('img, area, input[type="image"]')) {
+      return node.getAttribute('alt') || '';
+    }
+    return $.map(node.childNodes, text).join('');
+  };
+
+  /**
+   * Computes a simplified accessible name of an element.
+   *
+   * @param {Element} element
+   *   The element.
+   *
+   * @return {String}
+   *   The name, empty if it has none.
+   */
+  var name = function (element) {
+    var labelledby = $.trim(element.getAttribute('aria-labelledby') || '');
+    var label = labelledby ? $.map(labelledby.split(/\s+/), function (id) {
+      var labelElement = document.getElementById(id);
+      return labelElement ? text(labelElement) : '';
+    }).join(' ') : '';
+
+    return $.trim(label) ||
+      $.trim(element.getAttribute('aria-label') || '') ||
+      $.trim(text(element)) ||
+      $.trim(element.getAttribute('title') || element.getAttribute('data-original-title') || '');
+  };
+
+  /**
+   * Retrieves the ids an attribute refers to which don't exist.
+   *
+   * @param {Element} element
+   *   The element.
+   * @param {String} attribute
+   *   An attribute holding a list of ids, e.g. "aria-controls".
+   *
+   * @return {String[]}
+   *   The missing ids.
+   */
+  var missing = function (element, attribute) {
+    return $.grep($.trim(element.getAttribute(attribute) || '').split(/\s+/), function (id) {
+      return id && !document.getElementById(id);
+    });
+  };
+
+  /**
+   * The checks of the page.
+   *
+   * Each rule receives the elements to check and a
+   * report(severity, message, element) callback. Rules are keyed by the name
+   * reported along with each issue.
+   *
+   * @type {Object<string,Function>}
+   */
+  var RULES = {
+    'duplicate-id': function ($elements, report) {
+      var seen = {};
+      $elements.filter('[id]').each(function () {
+        if (seen[this.id]) {
+          report('error', Drupal.t('El id "@id" está duplicado.', {'@id': this.id}), this);
+        }
+        seen[this.id] = true;
+      });
+    },
+
+    'broken-reference': function ($elements, report) {
+      $.each(['aria-controls', 'aria-describedby', 'aria-labelledby'], function (i, attribute) {
+        $elements.filter('[' + attribute + ']').each(function () {
+          var element = this;
+          $.each(missing(element, attribute), function (j, id) {
+            report('error', Drupal.t('El atributo @attribute apunta a "@id", que no existe.', {'@attribute': attribute, '@id': id}), element);
+          });
+        });
+      });
+    },
+
+    'new-window': function ($elements, report) {
+      $elements.filter('a[href][target]').each(function () {
+        if (!NEW_WINDOW_TARGET.test(this.getAttribute('target'))) {
+          return;
+        }
+        var description = $.map($.trim(this.getAttribute('aria-describedby') || '').split(/\s+/), function (id) {
+          var element = id && document.getElementById(id);
+          return element ? text(element) : '';
+        }).join(' ');
+        if (!NEW_WINDOW_WARNING.test(name(this) + ' ' + description)) {
+          report('warning', Drupal.t('El enlace abre una nueva ventana sin advertirlo.'), this);
+        }
+      });
+    },
+
+    'empty-sr-only': function ($elements, report) {
+      $elements.filter('td .sr-only, th .sr-only, td .visually-hidden, th .visually-hidden').each(function () {
+        if (!$.trim(text(this))) {
+          report('warning', Drupal.t('El texto para lectores de pantalla de la celda está vacío.'), this);
+        }
+      });
+    },
+
+    'unlabelled-control': function ($elements, report) {
+      $elements.filter('a[href], button, [role="button"]').each(function () {
+        if (!name(this)) {
+          report('error', Drupal.t('El @control no tiene texto ni etiqueta accesible.', {'@control': $(this).is('a') ? Drupal.t('enlace') : Drupal.t('botón')}), this);
+        }
+      });
+    },
+
+    'heading-order': function ($elements, report) {
+      var previous = 0;
+      $elements.filter('h1, h2, h3, h4, h5, h6').each(function () {
+        var level = parseInt(this.tagName.charAt(1), 10);
+        if (previous && level > previous + 1) {
+          report('warning', Drupal.t('El encabezado salta de h@previous a h@level.', {'@previous': previous, '@level': level}), this);
+        }
+        previous = level;
+      });
+    }
+  };
+
+  /**
+   * Audits the page.
+   *
+   * @param {Document|Element} [root]
+   *   The element to audit, the document by default.
+   *
+   * @return {Object[]}
+   *   The issues found, each with its "rule", "severity" ("error" or
+   *   "warning"), "message" and "element".
+   */
+  var audit = function (root) {
+    var issues = [];
+    var $elements = $(root || document).find('*').not('.applicability-audit-overlay, .applicability-audit-overlay *');
+
+    $.each(RULES, function (rule, check) {
+      check($elements, function (severity, message, element) {
+        issues.push({rule: rule, severity: severity, message: message, element: element});
+      });
+    });
+    return issues;
+  };
+
+  /**
+   * Describes an element of an issue, e.g. "a#enlace".
+   *
+   * @param {Element} element
+   *   The element.
+   *
+   * @return {String}
+   *   Its tag name and id; when the id is repeated, the position of the element
+   *   among those sharing it, as "#id" would only lead to the first one.
+   */
+  var describe = function (element) {
+    var label = element.tagName.toLowerCase();
+    if (element.id) {
+      var id = element.id;
+      var $same = $('[id]').filter(function () {
+        return this.id === id;
+      });
+      label += '#' + id + ($same.length > 1 ? ' (' + ($same.index(element) + 1) + '/' + $same.length + ')' : '');
+    }
+    return label;
+  };
+
+  Drupal.applicability.audit = {
+    RULES: RULES,
+    audit: audit,
+    describe: describe,
+    name: name
+  };
+
+  /**
+   * Renders the audit overlay.
+   *
+   * Each issue links to its element through a reference kept with the link,
+   * the audit writes no id into the audited page.
+   *
+   * @param {Object[]} issues
+   *   The issues returned by Drupal.applicability.audit.audit().
+   *
+   * @return {jQuery}
+   *   The overlay.
+   */
+  Drupal.theme.applicabilityAuditOverlay = function (issues) {
+    var errors = $.grep(issues, function (issue) {
+      return issue.severity === 'error';
+    }).length;
+    var $overlay = $('<aside class="applicability-audit-overlay panel panel-info"></aside>')
+      .attr('aria-label', Drupal.t('Problemas de accesibilidad'));
+    $('<div class="panel-heading"></div>')
+      .text(Drupal.t('Accesibilidad: @errors errores y @warnings advertencias', {'@errors': errors, '@warnings': issues.length - errors}))
+      .append(' ', $(Drupal.theme('button', {
+        value: Drupal.checkPlain(Drupal.t('Volver a revisar')),
+        context: 'default',
+        'class': ['btn-xs'],
+        'data-applicability-audit': 'run'
+      })))
+      .appendTo($overlay);
+
+    var $list = $('<ol class="list-group"></ol>').appendTo($overlay);
+    $.each(issues, function (i, issue) {
+      $('<li class="list-group-item"></li>')
+        .addClass(issue.severity === 'error' ? 'list-group-item-danger' : 'list-group-item-warning')
+        .append($('<code></code>').text(issue.rule), ' ', document.createTextNode(issue.message), ' ')
+        .append($('<button type="button" class="btn btn-link btn-xs"></button>')
+          .attr('data-applicability-audit', 'reveal')
+          .data('applicabilityAuditElement', issue.element)
+          .text(describe(issue.element)))
+        .appendTo($list);
+    });
+    return $overlay;
+  };
+
+  /**
+   * Audits the page and shows the issues, replacing a previous overlay.
+   */
+  var run = function () {
+    var issues = audit(document);
+
+    $('.applicability-audit-error, .applicability-audit-warning').removeClass('applicability-audit-error applicability-audit-warning');
+    $.each(issues, function (i, issue) {
+      $(issue.element).addClass(issue.severity === 'error' ? 'applicability-audit-error' : 'applicability-audit-warning');
+    });
+
+    $('.applicability-audit-overlay').remove();
+    Drupal.theme('applicabilityAuditOverlay', issues).appendTo('body');
+  };
+
+  /**
+   * Adds the audit overlay when "applicability-audit" is in the query string.
+   */
+  Drupal.behaviors.applicabilityAudit = {
+    attach: function () {
+      if (!/[?&]applicability-audit\b/.test(window.location.search)) {
+        return;
+      }
+
+      Bootstrap.once('applicabilityAudit', function () {
+        $(document)
+          .on('click', '[data-applicability-audit="run"]', run)
+          // Open the collapsed panels containing the element linked to, then
+          // bring it into view and focus it when it can be.
+          .on('click', '[data-applicability-audit="reveal"]', function () {
+            var element = $(this).data('applicabilityAuditElement');
+            if (!element || !$.contains(document.documentElement, element)) {
+              return;
+            }
+            $(element).parents('.collapse').not('.in, .show').collapse('show');
+            element.scrollIntoView({block: 'center'});
+            if ($(element).is('a[href], area[href], button, input, select, textarea, [tabindex]')) {
+              element.focus();
+            }
+          });
+
+        // Let the behaviors attached along with this one patch the DOM first.
+        window.setTimeout(run, 0);
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
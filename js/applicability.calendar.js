@@ -0,0 +1,369 @@
+/**
+ * @file
+ * Compliance calendar derived from the update period of each obligation.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * Months closing a period, keyed by update period (0 is January).
+   *
+   * @type {Object<string,number[]>}
+   */
+  var CLOSES = {
+    mensual: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    trimestral: [2, 5, 8, 11],
+    semestral: [5, 11],
+    anual: [11]
+  };
+
+  /**
+   * Days after the close of a period to publish its information.
+   *
+   * The LGTAIP guidelines give thirty natural days after the period closes.
+   *
+   * @type {Number}
+   */
+  var GRACE_DAYS = 30;
+
+  /**
+   * Returns a date without its time.
+   *
+   * @param {Date} date
+   *   The date.
+   * @param {Number} [days=0]
+   *   Days to add.
+   *
+   * @return {Date}
+   *   The date at midnight, local time.
+   */
+  var day = function (date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + (days || 0));
+  };
+
+  /**
+   * Formats a date as YYYYMMDD.
+   *
+   * @param {Date} date
+   *   The date.
+   *
+   * @return {String}
+   *   The formatted date.
+   */
+  var ymd = function (date) {
+    var pad = function (n) {
+      return (n < 10 ? '0' : '') + n;
+    };
+    return date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate());
+  };
+
+  /**
+   * Computes the deadlines of the obligations within a range of dates.
+   *
+   * Obligations that do not apply to the Court, or whose update period is not
+   * a fixed one (e.g. "cuando se genere"), have no deadlines.
+   *
+   * @param {Object[]} records
+   *   The records.
+   * @param {Date} from
+   *   The first day of the range.
+   * @param {Date} until
+   *   The last day of the range.
+   *
+   * @return {Array<{record: Object, periods: string[], close: Date, due: Date}>}
+   *   The deadlines, soonest first.
+   */
+  var deadlines = function (records, from, until) {
+    var list = [];
+    from = day(from);
+    until = day(until);
+
+    $.each(records, function (i, record) {
+      if (record.aplica === false) {
+        return;
+      }
+      var byDate = {};
+      $.each(Drupal.applicability.updatePeriods(record.actualizacion), function (j, period) {
+        // Periods closing the previous year may be due within the range.
+        for (var year = from.getFullYear() - 1; year <= until.getFullYear(); year++) {
+          $.each(CLOSES[period], function (k, month) {
+            var close = new Date(year, month + 1, 0);
+            var due = day(close, GRACE_DAYS);
+            if (due < from || due > until) {
+              return;
+            }
+            // Periods closing the same day share the deadline (e.g. the last
+            // quarter of a "Trimestral y anual" obligation).
+            if (byDate[ymd(due)]) {
+              byDate[ymd(due)].periods.push(period);
+              return;
+            }
+            list.push(byDate[ymd(due)] = {record: record, periods: [period], close: close, due: due});
+          });
+        }
+      });
+    });
+
+    return list.sort(function (a, b) {
+      return a.due - b.due || a.record.article - b.record.article || ((a.record.fraccion && a.record.fraccion.number) || 0) - ((b.record.fraccion && b.record.fraccion.number) || 0);
+    });
+  };
+
+  /**
+   * Escapes a text value of an iCalendar property (RFC 5545, 3.3.11).
+   *
+   * @param {String} str
+   *   The value.
+   *
+   * @return {String}
+   *   The escaped value.
+   */
+  var icsEscape = function (str) {
+    return String(str).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+  };
+
+  /**
+   * Folds an iCalendar content line longer than 75 octets (RFC 5545, 3.1).
+   *
+   * @param {String} line
+   *   The content line.
+   *
+   * @return {String}
+   *   The folded line.
+   */
+  var icsFold = function (line) {
+    var folded = '';
+    var octets = 0;
+    for (var i = 0; i < line.length; i++) {
+      var chr = line.charAt(i);
+      // Keep surrogate pairs together.
+      if (/[\uD800-\uDBFF]/.test(chr) && i + 1 < line.length) {
+        chr += line.charAt(++i);
+      }
+      var size = unescape(encodeURIComponent(chr)).length;
+      if (octets + size > 75) {
+        folded += '\r\n ';
+        octets = 1;
+      }
+      folded += chr;
+      octets += size;
+    }
+    return folded;
+  };
+
+  /**
+   * Describes an obligation in a deadline.
+   *
+   * @param {Object} record
+   *   The record.
+   *
+   * @return {String}
+   *   E.g. "Art. 70, fr. IX: Viáticos y gastos de representación".
+   */
+  var label = function (record) {
+    var fraccion = record.fraccion && (record.fraccion.roman || record.fraccion.label);
+    return Drupal.t('Art. @article', {'@article': record.article}) + (fraccion ? ', ' + Drupal.t('fr. @fraccion', {'@fraccion': fraccion}) : '') + ': ' + record.title;
+  };
+
+  /**
+   * Serializes deadlines as an iCalendar document.
+   *
+   * @param {Object[]} list
+   *   The deadlines returned by deadlines().
+   *
+   * @return {String}
+   *   The iCalendar document, one all-day event per deadline.
+   */
+  var ics = function (list) {
+    var stamp = new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+    var host = window.location.hostname || 'scjn.gob.mx';
+    var lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//SCJN//Tabla de aplicabilidad//ES',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+    $.each(list, function (i, deadline) {
+      var record = deadline.record;
+      lines.push(
+        'BEGIN:VEVENT',
+        'UID:' + record.slug + '-' + ymd(deadline.due) + '@' + host,
+        'DTSTAMP:' + stamp,
+        'DTSTART;VALUE=DATE:' + ymd(deadline.due),
+        'DTEND;VALUE=DATE:' + ymd(day(deadline.due, 1)),
+        'SUMMARY:' + icsEscape(Drupal.t('Actualizar @obligation', {'@obligation': label(record)})),
+        'DESCRIPTION:' + icsEscape(Drupal.t('Periodo de actualización: @period. Cierre del periodo: @close.', {
+          '@period': record.actualizacion,
+          '@close': deadline.close.toLocaleDateString('es-MX')
+        }))
+      );
+      if (Drupal.applicability.links) {
+        lines.push('URL:' + Drupal.applicability.links.url(record));
+      }
+      lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return $.map(lines, icsFold).join('\r\n') + '\r\n';
+  };
+
+  Drupal.applicability.calendar = {
+    CLOSES: CLOSES,
+    GRACE_DAYS: GRACE_DAYS,
+    deadlines: deadlines,
+    ics: ics,
+
+    /**
+     * Computes the next deadline of an obligation.
+     *
+     * @param {Object} record
+     *   The record.
+     * @param {Date} [date]
+     *   The reference date, defaults to today.
+     *
+     * @return {{record: Object, periods: string[], close: Date, due: Date}|null}
+     *   The deadline or NULL if the obligation has no fixed deadlines.
+     */
+    next: function (record, date) {
+      date = date || new Date();
+      return deadlines([record], date, new Date(date.getFullYear() + 1, date.getMonth(), date.getDate()))[0] || null;
+    }
+  };
+
+  /**
+   * Renders the deadlines of a month as a grid, weeks starting on Monday.
+   *
+   * @param {Date} month
+   *   Any day of the month.
+   * @param {Object[]} list
+   *   The deadlines of the month.
+   *
+   * @return {jQuery}
+   *   The table.
+   */
+  Drupal.theme.applicabilityCalendarMonth = function (month, list) {
+    var first = new Date(month.getFullYear(), month.getMonth(), 1);
+    var $table = $('<table class="table table-bordered applicability-calendar-month"></table>')
+      .append($('<caption></caption>').text(first.toLocaleDateString('es-MX', {month: 'long', year: 'numeric'})));
+
+    var $head = $('<tr></tr>').appendTo($('<thead></thead>').appendTo($table));
+    for (var d = 0; d < 7; d++) {
+      // 2024-01-01 was a Monday.
+      var weekday = new Date(2024, 0, 1 + d);
+      $('<th scope="col"></th>')
+        .attr('abbr', weekday.toLocaleDateString('es-MX', {weekday: 'long'}))
+        .text(weekday.toLocaleDateString('es-MX', {weekday: 'short'}))
+        .appendTo($head);
+    }
+
+    var $body = $('<tbody></tbody>').appendTo($table);
+    var $week;
+    var last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+    var end = day(last, (7 - last.getDay()) % 7);
+    for (var date = day(first, -((first.getDay() + 6) % 7)); date <= end; date = day(date, 1)) {
+      if (date.getDay() === 1) {
+        $week = $('<tr></tr>').appendTo($body);
+      }
+      var $cell = $('<td></td>').appendTo($week);
+      if (date.getMonth() === first.getMonth()) {
+        $cell.append($('<span class="applicability-calendar-day"></span>').text(date.getDate()));
+        var due = $.grep(list, function (deadline) {
+          return deadline.due.getTime() === date.getTime();
+        });
+        if (due.length) {
+          var $list = $('<ul class="list-unstyled"></ul>').appendTo($cell.addClass('applicability-calendar-due'));
+          $.each(due, function (i, deadline) {
+            $('<li></li>')
+              .append($('<a></a>').attr('href', '#' + deadline.record.slug).text(label(deadline.record)))
+              .appendTo($list);
+          });
+        }
+      }
+    }
+
+    return $table;
+  };
+
+  /**
+   * Renders the list of upcoming deadlines.
+   *
+   * @param {Object[]} list
+   *   The deadlines, soonest first.
+   *
+   * @return {jQuery}
+   *   The list.
+   */
+  Drupal.theme.applicabilityCalendarUpcoming = function (list) {
+    var $list = $('<dl class="applicability-calendar-upcoming"></dl>');
+    var current = null;
+    if (!list.length) {
+      return $('<p></p>').text(Drupal.t('No hay vencimientos próximos.'));
+    }
+    $.each(list, function (i, deadline) {
+      if (!current || current.getTime() !== deadline.due.getTime()) {
+        current = deadline.due;
+        $('<dt></dt>').text(current.toLocaleDateString('es-MX', {weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'})).appendTo($list);
+      }
+      $('<dd></dd>')
+        .append($('<a></a>').attr('href', '#' + deadline.record.slug).text(label(deadline.record)))
+        .appendTo($list);
+    });
+    return $list;
+  };
+
+  /**
+   * Adds the compliance calendar above the applicability table.
+   */
+  Drupal.behaviors.applicabilityCalendar = {
+    attach: function (context) {
+      var $accordion = $(context).find('#accordionExample').addBack('#accordionExample');
+      if (!$accordion.length || !Drupal.applicability.records) {
+        return;
+      }
+
+      Bootstrap.once('applicabilityCalendar', function () {
+        var today = day(new Date());
+        var month = new Date(today.getFullYear(), today.getMonth(), 1);
+        var $month = $('<div aria-live="polite"></div>');
+
+        var render = function () {
+          var records = Drupal.applicability.records || [];
+          $month.empty().append(Drupal.theme('applicabilityCalendarMonth', month, deadlines(records, month, new Date(month.getFullYear(), month.getMonth() + 1, 0))));
+        };
+
+        var $navigation = $('<div class="btn-group" role="group"></div>')
+          .attr('aria-label', Drupal.t('Cambiar de mes'))
+          .append($(Drupal.theme('button', {value: Drupal.checkPlain(Drupal.t('Mes anterior')), 'data-applicability-month': -1})))
+          .append($(Drupal.theme('button', {value: Drupal.checkPlain(Drupal.t('Hoy')), 'data-applicability-month': 0})))
+          .append($(Drupal.theme('button', {value: Drupal.checkPlain(Drupal.t('Mes siguiente')), 'data-applicability-month': 1})))
+          .on('click', '[data-applicability-month]', function () {
+            var offset = parseInt($(this).attr('data-applicability-month'), 10);
+            month = offset ? new Date(month.getFullYear(), month.getMonth() + offset, 1) : new Date(today.getFullYear(), today.getMonth(), 1);
+            render();
+          });
+
+        var $download = $(Drupal.theme('button', {
+          value: Drupal.checkPlain(Drupal.t('Descargar vencimientos (.ics)')),
+          'class': ['applicability-calendar-download']
+        })).on('click', function () {
+          var list = deadlines(Drupal.applicability.records || [], today, new Date(today.getFullYear() + 1, today.getMonth(), today.getDate()));
+          Drupal.applicability.export.download(ics(list), 'vencimientos-tabla-de-aplicabilidad.ics', 'text/calendar;charset=utf-8');
+        });
+
+        var $calendar = $('<details class="applicability-calendar"></details>')
+          .append($('<summary></summary>').text(Drupal.t('Calendario de cumplimiento')))
+          .append($('<p class="help-block"></p>').text(Drupal.t('Fecha límite de actualización de cada obligación: @days días naturales después del cierre de su periodo.', {'@days': GRACE_DAYS})))
+          .append($navigation, $month)
+          .append($('<h3></h3>').text(Drupal.t('Próximos vencimientos')))
+          .append(Drupal.theme('applicabilityCalendarUpcoming', deadlines(Drupal.applicability.records, today, day(today, 60))));
+        if (Drupal.applicability.export && window.Blob) {
+          $calendar.append($download);
+        }
+
+        render();
+        $calendar.insertBefore($accordion);
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
@@ -0,0 +1,244 @@
+/**
+ * @file
+ * Deep links to the applicability table obligations.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * Id of the panel the user asked to toggle, if any.
+   *
+   * Panels opened programmatically (e.g. by the in-page search) must not
+   * change the URL, only the ones toggled by the user.
+   *
+   * @type {String|null}
+   */
+  var requested = null;
+
+  /**
+   * Slug of the obligation referenced by the URL, if any.
+   *
+   * @type {String|null}
+   */
+  var current = null;
+
+  /**
+   * Retrieves the hash of the current URL.
+   *
+   * @return {String}
+   *   The decoded hash, without the leading "#".
+   */
+  var hash = function () {
+    var value = window.location.hash.replace(/^#/, '');
+    try {
+      return decodeURIComponent(value);
+    }
+    catch (e) {
+      return value;
+    }
+  };
+
+  /**
+   * Resolves a hash into the obligation it references.
+   *
+   * Besides the slugs (e.g. "art70-fr-ix-viaticos-y-gastos-de-representacion")
+   * this accepts the legacy panel ids (e.g. "collapseExample4") and the
+   * beginning of a slug (e.g. "art70-fr-ix-viaticos").
+   *
+   * @param {String} key
+   *   The hash, without the leading "#".
+   *
+   * @return {Object|null}
+   *   The record or NULL if the hash does not reference an obligation.
+   */
+  var resolve = function (key) {
+    if (!key) {
+      return null;
+    }
+    var record = Drupal.applicability.get(key);
+    if (record) {
+      return record;
+    }
+    var records = Drupal.applicability.records || [];
+    for (var i = 0; i < records.length; i++) {
+      if (records[i].slug.indexOf(key + '-') === 0) {
+        return records[i];
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Retrieves the record a collapsible panel belongs to.
+   *
+   * @param {Element} panel
+   *   The ".collapse" element.
+   *
+   * @return {Object|null}
+   *   The record or NULL if the panel is not an obligation.
+   */
+  var recordOf = function (panel) {
+    var records = Drupal.applicability.records || [];
+    for (var i = 0; i < records.length; i++) {
+      if (records[i].panel === panel) {
+        return records[i];
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Opens an obligation and its article.
+   *
+   * @param {Object} record
+   *   The record.
+   * @param {Boolean} [focus]
+   *   Whether to move the focus to the heading of the obligation.
+   */
+  var open = function (record, focus) {
+    $('#' + Drupal.applicability.ARTICLES[record.article]).collapse('show');
+    $(record.panel).collapse('show');
+    if (focus) {
+      $(record.heading).attr('tabindex', '-1').focus();
+    }
+  };
+
+  /**
+   * Opens the obligation referenced by the URL and closes the previous one.
+   *
+   * @param {Boolean} [focus]
+   *   Whether to move the focus to the heading of the obligation.
+   */
+  var restore = function (focus) {
+    var key = hash();
+    var record = resolve(key);
+
+    if (!record) {
+      // Only the article accordions may be referenced besides the obligations.
+      for (var number in Drupal.applicability.ARTICLES) {
+        if (Drupal.applicability.ARTICLES.hasOwnProperty(number) && Drupal.applicability.ARTICLES[number] === key) {
+          $('#' + key).collapse('show');
+        }
+      }
+    }
+    if ((record && record.slug) === current) {
+      return;
+    }
+
+    var previous = current && Drupal.applicability.get(current);
+    current = record && record.slug;
+    if (previous) {
+      $(previous.panel).collapse('hide');
+    }
+    if (record) {
+      // Legacy ids and partial slugs are replaced by the full slug.
+      if (key !== record.slug && window.history && window.history.replaceState) {
+        window.history.replaceState({applicability: current}, '', '#' + record.slug);
+      }
+      open(record, focus);
+    }
+  };
+
+  /**
+   * Updates the URL, adding an entry to the browser history.
+   *
+   * @param {Object|null} record
+   *   The record to link to or NULL to remove the hash.
+   */
+  var update = function (record) {
+    var url = window.location.pathname + window.location.search + (record ? '#' + record.slug : '');
+    current = record && record.slug;
+    if (window.history && window.history.pushState) {
+      window.history.pushState({applicability: current}, '', url);
+    }
+    else {
+      window.location.hash = record ? record.slug : '';
+    }
+  };
+
+  Drupal.applicability.links = {
+    open: open,
+    resolve: resolve,
+    restore: restore,
+
+    /**
+     * Builds the URL of an obligation.
+     *
+     * @param {Object} record
+     *   The record.
+     *
+     * @return {String}
+     *   The absolute URL.
+     */
+    url: function (record) {
+      return window.location.href.replace(/#.*$/, '') + '#' + record.slug;
+    }
+  };
+
+  /**
+   * Renders the permanent link of an obligation.
+   *
+   * @param {Object} record
+   *   The record.
+   *
+   * @return {jQuery}
+   *   The link.
+   */
+  Drupal.theme.applicabilityPermalink = function (record) {
+    return $('<a class="applicability-permalink small"></a>')
+      .attr('href', '#' + record.slug)
+      .attr('title', Drupal.t('Enlace permanente a «@title»', {'@title': record.title}))
+      .text(Drupal.t('Enlace'));
+  };
+
+  /**
+   * Adds slug anchors to the obligations and keeps them in sync with the URL.
+   */
+  Drupal.behaviors.applicabilityDeepLinks = {
+    attach: function (context) {
+      var $records = $(context).find('.menu-contenedor').addBack('.menu-contenedor');
+      if (!$records.length || !Drupal.applicability.records) {
+        return;
+      }
+
+      $.each(Drupal.applicability.records, function (i, record) {
+        var $element = $(record.element);
+        if ($element.attr('id') || !$records.filter(record.element).length) {
+          return;
+        }
+        $element.attr('id', record.slug);
+        if (record.heading) {
+          $(record.heading).after(Drupal.theme('applicabilityPermalink', record));
+        }
+      });
+
+      Bootstrap.once('applicabilityDeepLinks', function () {
+        $(document)
+          .on('click', '.menu-contenedor [data-bs-target]', function () {
+            requested = ($(this).attr('data-bs-target') || '').replace(/^#/, '');
+          })
+          .on('shown.bs.collapse hidden.bs.collapse', function (e) {
+            var record = recordOf(e.target);
+            if (!record || record.id !== requested) {
+              return;
+            }
+            requested = null;
+            if (e.type === 'shown' && hash() !== record.slug) {
+              update(record);
+            }
+            else if (e.type === 'hidden' && current === record.slug) {
+              update(null);
+            }
+          });
+
+        // Back and forward navigation, and links to other obligations.
+        $(window).on('popstate hashchange', function () {
+          restore(true);
+        });
+
+        restore(true);
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
@@ -0,0 +1,461 @@
+/**
+ * @file
+ * Compares two versions of the applicability table.
+ *
+ * Versions are either parsed pages or the JSON model exported from them (see
+ * Drupal.applicability.toJSON()). Like the model, the comparison itself does
+ * not depend on the DOM and can be required from Node.
+ */
+(function (root, factory) {
+  'use strict';
+
+  // Node (build and lint scripts).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./applicability.js'));
+    return;
+  }
+
+  // Browser.
+  root.Drupal.applicability.diff = factory(root.Drupal.applicability);
+
+})(typeof window !== 'undefined' ? window : this, function (applicability) {
+  'use strict';
+
+  /**
+   * Compared record fields, in display order.
+   *
+   * @type {Array<{key: string, label: string}>}
+   */
+  var FIELDS = [{key: 'title', label: 'Título'}].concat(applicability.FIELDS, [{key: 'link', label: 'Enlace'}]);
+
+  /**
+   * Retrieves the records of a version.
+   *
+   * @param {Object} version
+   *   A model returned by Drupal.applicability.parse(), its JSON form or a
+   *   plain array of records.
+   *
+   * @return {Object[]}
+   *   The records.
+   */
+  var records = function (version) {
+    if (Array.isArray(version)) {
+      return version;
+    }
+    if (version && version.records) {
+      return version.records;
+    }
+    return ((version && version.articles) || []).reduce(function (list, article) {
+      return list.concat(article.records || []);
+    }, []);
+  };
+
+  /**
+   * Retrieves the comparable value of a record field.
+   *
+   * @param {Object} record
+   *   The record.
+   * @param {String} key
+   *   The field key.
+   *
+   * @return {String}
+   *   The value, with collapsed whitespace.
+   */
+  var value = function (record, key) {
+    if (key === 'fraccion') {
+      return record.fraccion ? applicability.clean(record.fraccion.label) : '';
+    }
+    return applicability.clean(record[key] || '');
+  };
+
+  /**
+   * Pairs the records of two versions.
+   *
+   * Records are matched by article and fracción. Since a fracción may hold
+   * several obligations, records with the same slug (article, fracción and
+   * title) are paired first, then the ones whose fracción is unique in both
+   * versions, and finally the ones with the same title.
+   *
+   * @param {Object[]} before
+   *   The records of the previous version.
+   * @param {Object[]} after
+   *   The records of the new version.
+   *
+   * @return {Array<Object[]>}
+   *   Pairs of [before, after] records, either of them NULL when the record
+   *   was added or removed, in the order of the new version.
+   */
+  var match = function (before, after) {
+    var pairs = [];
+    var left = before.slice();
+    var right = after.slice();
+
+    var strategies = [
+      function (record) {
+        return record.slug || null;
+      },
+      function (record, list) {
+        var roman = record.fraccion && record.fraccion.roman;
+        var same = list.filter(function (other) {
+          return other.article === record.article && other.fraccion && other.fraccion.roman === roman;
+        });
+        return roman && same.length === 1 ? record.article + '-' + roman : null;
+      },
+      function (record) {
+        return record.article + '-' + applicability.slug(record.title);
+      }
+    ];
+
+    strategies.forEach(function (strategy) {
+      var keys = {};
+      left.forEach(function (record) {
+        var key = strategy(record, left);
+        if (key && !keys.hasOwnProperty(key)) {
+          keys[key] = record;
+        }
+      });
+      right = right.filter(function (record) {
+        var key = strategy(record, right);
+        var other = key && keys.hasOwnProperty(key) ? keys[key] : null;
+        if (!other) {
+          return true;
+        }
+        delete keys[key];
+        left.splice(left.indexOf(other), 1);
+        pairs.push([other, record]);
+        return false;
+      });
+    });
+
+    right.forEach(function (record) {
+      pairs.push([null, record]);
+    });
+    pairs.sort(function (a, b) {
+      return after.indexOf(a[1]) - after.indexOf(b[1]);
+    });
+    left.forEach(function (record) {
+      pairs.push([record, null]);
+    });
+    return pairs;
+  };
+
+  /**
+   * Computes a word level diff of two strings.
+   *
+   * @param {String} a
+   *   The previous text.
+   * @param {String} b
+   *   The new text.
+   *
+   * @return {Array<{type: string, text: string}>}
+   *   The operations, "equal", "delete" or "insert", merged when consecutive.
+   */
+  var words = function (a, b) {
+    var x = (a || '').match(/\s+|[^\s]+/g) || [];
+    var y = (b || '').match(/\s+|[^\s]+/g) || [];
+    var ops = [];
+    var i, j;
+
+    // Longest common subsequence of the tokens, computed from the end.
+    var lcs = [];
+    for (i = x.length; i >= 0; i--) {
+      lcs[i] = [];
+      for (j = y.length; j >= 0; j--) {
+        lcs[i][j] = i === x.length || j === y.length ? 0 : x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    var push = function (type, text) {
+      if (ops.length && ops[ops.length - 1].type === type) {
+        ops[ops.length - 1].text += text;
+      }
+      else {
+        ops.push({type: type, text: text});
+      }
+    };
+
+    for (i = 0, j = 0; i < x.length || j < y.length;) {
+      if (i < x.length && j < y.length && x[i] === y[j]) {
+        push('equal', x[i++]);
+        j++;
+      }
+      else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        push('delete', x[i++]);
+      }
+      else {
+        push('insert', y[j++]);
+      }
+    }
+    return ops;
+  };
+
+  /**
+   * Compares two versions of the applicability table.
+   *
+   * @param {Object} before
+   *   The previous version, see records().
+   * @param {Object} after
+   *   The new version, see records().
+   *
+   * @return {{changes: Object[], summary: Object<number,Object>}}
+   *   The added, removed and modified records, each with its changed fields,
+   *   and the number of changes of each type keyed by article.
+   */
+  var compare = function (before, after) {
+    var result = {changes: [], summary: {}};
+
+    match(records(before), records(after)).forEach(function (pair) {
+      var record = pair[1] || pair[0];
+      var change = {
+        type: !pair[0] ? 'added' : !pair[1] ? 'removed' : 'modified',
+        article: record.article,
+        before: pair[0],
+        after: pair[1],
+        fields: []
+      };
+
+      FIELDS.forEach(function (field) {
+        var old = pair[0] ? value(pair[0], field.key) : '';
+        var current = pair[1] ? value(pair[1], field.key) : '';
+        if (old !== current) {
+          change.fields.push({
+            key: field.key,
+            label: field.label,
+            type: !old ? 'added' : !current ? 'removed' : 'modified',
+            before: old,
+            after: current
+          });
+        }
+      });
+
+      var summary = result.summary[record.article] || (result.summary[record.article] = {added: 0, removed: 0, modified: 0, unchanged: 0});
+      if (change.type === 'modified' && !change.fields.length) {
+        summary.unchanged++;
+        return;
+      }
+      summary[change.type]++;
+      result.changes.push(change);
+    });
+
+    return result;
+  };
+
+  return {
+    FIELDS: FIELDS,
+    compare: compare,
+    match: match,
+    records: records,
+    words: words
+  };
+});
+
+/**
+ * Adds the "what changed" tool to the page.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  // Immediately return outside of the browser (e.g. when required from Node).
+  if (!$ || !Drupal || !Drupal.behaviors) {
+    return;
+  }
+
+  /**
+   * Reads a version of the table out of a file.
+   *
+   * @param {File} file
+   *   A saved page (HTML) or an exported model (JSON).
+   *
+   * @return {Promise}
+   *   A promise resolved with the version, or rejected if it can't be read.
+   */
+  var read = function (file) {
+    var deferred = $.Deferred();
+    var reader = new FileReader();
+    reader.onload = function () {
+      try {
+        var text = String(reader.result);
+        if (/^\s*[{[]/.test(text)) {
+          deferred.resolve(JSON.parse(text));
+        }
+        else {
+          deferred.resolve(Drupal.applicability.parse(new DOMParser().parseFromString(text, 'text/html')));
+        }
+      }
+      catch (e) {
+        deferred.reject(e);
+      }
+    };
+    reader.onerror = function () {
+      deferred.reject(reader.error);
+    };
+    reader.readAsText(file);
+    return deferred.promise();
+  };
+
+  /**
+   * Translates the label of a compared field.
+   *
+   * @param {{key: string, label: string}} field
+   *   A field of Drupal.applicability.diff.FIELDS.
+   *
+   * @return {String}
+   *   The translated label, the label as is for unknown fields.
+   */
+  var fieldLabel = function (field) {
+    // Literal strings, so they are found by the translation extractor.
+    var labels = {
+      title: Drupal.t('Título'),
+      fraccion: Drupal.t('Fracción'),
+      denominacion: Drupal.t('Denominación de la información'),
+      descripcion: Drupal.t('Descripción de la información'),
+      aplicabilidad: Drupal.t('Aplicabilidad para la Suprema Corte de Justicia de la Nación'),
+      actualizacion: Drupal.t('Periodo de actualización'),
+      observaciones: Drupal.t('Observaciones'),
+      conservacion: Drupal.t('Periodo de conservación de la información'),
+      link: Drupal.t('Enlace')
+    };
+    return labels.hasOwnProperty(field.key) ? labels[field.key] : field.label;
+  };
+
+  /**
+   * Describes a record of a change.
+   *
+   * @param {Object} record
+   *   The record.
+   *
+   * @return {String}
+   *   E.g. "Artículo 70, fracción IX: Viáticos".
+   */
+  var label = function (record) {
+    var fraccion = record.fraccion && (record.fraccion.roman || record.fraccion.label);
+    return Drupal.t('Artículo @article', {'@article': record.article}) + (fraccion ? ', ' + Drupal.t('fracción @fraccion', {'@fraccion': fraccion}) : '') + ': ' + record.title;
+  };
+
+  /**
+   * Renders a word level diff.
+   *
+   * @param {String} before
+   *   The previous text.
+   * @param {String} after
+   *   The new text.
+   *
+   * @return {jQuery}
+   *   The text with <del> and <ins> highlights.
+   */
+  Drupal.theme.applicabilityDiffWords = function (before, after) {
+    var $text = $('<span class="applicability-diff-words"></span>');
+    $.each(Drupal.applicability.diff.words(before, after), function (i, op) {
+      if (op.type === 'equal') {
+        $text.append(document.createTextNode(op.text));
+      }
+      else {
+        $(op.type === 'insert' ? '<ins class="bg-success"></ins>' : '<del class="bg-danger"></del>').text(op.text).appendTo($text);
+      }
+    });
+    return $text;
+  };
+
+  /**
+   * Renders the comparison of two versions.
+   *
+   * @param {{changes: Object[], summary: Object}} result
+   *   The result of Drupal.applicability.diff.compare().
+   *
+   * @return {jQuery}
+   *   The summary table and the list of changes.
+   */
+  Drupal.theme.applicabilityDiff = function (result) {
+    var types = {
+      added: Drupal.t('Agregada'),
+      removed: Drupal.t('Eliminada'),
+      modified: Drupal.t('Modificada')
+    };
+    var $result = $('<div class="applicability-diff-result"></div>');
+
+    var $table = $('<table class="table table-condensed"></table>')
+      .append($('<caption></caption>').text(Drupal.t('Resumen de cambios por artículo')))
+      .appendTo($result);
+    var $head = $('<tr></tr>').appendTo($('<thead></thead>').appendTo($table));
+    $.each([Drupal.t('Artículo'), Drupal.t('Agregadas'), Drupal.t('Eliminadas'), Drupal.t('Modificadas'), Drupal.t('Sin cambios')], function (i, text) {
+      $('<th scope="col"></th>').text(text).appendTo($head);
+    });
+    var $body = $('<tbody></tbody>').appendTo($table);
+    $.each(result.summary, function (article, summary) {
+      $('<tr></tr>')
+        .append($('<th scope="row"></th>').text(article))
+        .append($('<td></td>').text(summary.added), $('<td></td>').text(summary.removed), $('<td></td>').text(summary.modified), $('<td></td>').text(summary.unchanged))
+        .appendTo($body);
+    });
+
+    if (!result.changes.length) {
+      return $result.append($('<p></p>').text(Drupal.t('No hay diferencias entre las versiones.')));
+    }
+
+    var $list = $('<ol class="list-unstyled applicability-diff-changes"></ol>').appendTo($result);
+    $.each(result.changes, function (i, change) {
+      var $item = $('<li></li>').addClass('applicability-diff-' + change.type).appendTo($list);
+      $('<h4></h4>')
+        .text(label(change.after || change.before))
+        .append(' ', $('<span class="label"></span>').addClass(change.type === 'added' ? 'label-success' : change.type === 'removed' ? 'label-danger' : 'label-warning').text(types[change.type]))
+        .appendTo($item);
+
+      var $fields = $('<dl></dl>').appendTo($item);
+      $.each(change.fields, function (j, field) {
+        $('<dt></dt>').text(fieldLabel(field)).appendTo($fields);
+        $('<dd></dd>').append(Drupal.theme('applicabilityDiffWords', field.before, field.after)).appendTo($fields);
+      });
+    });
+
+    return $result;
+  };
+
+  /**
+   * Adds the "what changed" tool above the applicability table.
+   */
+  Drupal.behaviors.applicabilityDiff = {
+    attach: function (context) {
+      var $accordion = $(context).find('#accordionExample').addBack('#accordionExample');
+      if (!$accordion.length || !Drupal.applicability.articles || !window.FileReader) {
+        return;
+      }
+
+      Bootstrap.once('applicabilityDiff', function () {
+        var $output = $('<div role="status" aria-live="polite"></div>');
+        var $form = $('<form class="applicability-diff-form"></form>')
+          .append($('<div class="form-group"></div>').append(
+            $('<label for="applicability-diff-before"></label>').text(Drupal.t('Versión anterior')),
+            $('<input type="file" id="applicability-diff-before" name="before" accept=".html,.htm,.json" required>')
+          ))
+          .append($('<div class="form-group"></div>').append(
+            $('<label for="applicability-diff-after"></label>').text(Drupal.t('Versión nueva')),
+            $('<input type="file" id="applicability-diff-after" name="after" accept=".html,.htm,.json" aria-describedby="applicability-diff-after-help">'),
+            $('<p id="applicability-diff-after-help" class="help-block"></p>').text(Drupal.t('Página guardada (HTML) o datos exportados (JSON). Si no elige un archivo se usa esta página.'))
+          ))
+          .append(Drupal.theme('button', {value: Drupal.checkPlain(Drupal.t('Comparar')), type: 'submit', context: 'primary'}))
+          .on('submit', function (e) {
+            var before = $(this).find('[name="before"]')[0].files[0];
+            var after = $(this).find('[name="after"]')[0].files[0];
+            e.preventDefault();
+            if (!before) {
+              return;
+            }
+            $.when(read(before), after ? read(after) : {articles: Drupal.applicability.articles})
+              .done(function (previous, current) {
+                $output.empty().append(Drupal.theme('applicabilityDiff', Drupal.applicability.diff.compare(previous, current)));
+              })
+              .fail(function (error) {
+                $output.empty().append($('<p class="text-danger"></p>').text(Drupal.t('No fue posible leer el archivo.')));
+                Bootstrap.warn('Unable to read the applicability table version: @error', {'@error': error && error.message || String(error)});
+              });
+          });
+
+        $('<details class="applicability-diff"></details>')
+          .append($('<summary></summary>').text(Drupal.t('Comparar versiones')))
+          .append($form, $output)
+          .insertBefore($accordion);
+      });
+    }
+  };
+
+})(typeof window !== 'undefined' && window.jQuery, typeof window !== 'undefined' && window.Drupal, typeof window !== 'undefined' && window.Drupal && window.Drupal.bootstrap);
@@ -0,0 +1,455 @@
+/**
+ * @file
+ * Exports the applicability table to CSV, XLSX and JSON in the browser.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * Exported columns, in order.
+   *
+   * @type {Array<{key: string, label: string, value: Function}>}
+   */
+  var COLUMNS = [
+    {key: 'article', label: Drupal.t('Artículo'), value: function (record) {
+      return String(record.article);
+    }},
+    {key: 'fraccion', label: Drupal.t('Fracción'), value: function (record) {
+      return record.fraccion ? record.fraccion.label : '';
+    }},
+    {key: 'denominacion', label: Drupal.t('Denominación de la información'), value: function (record) {
+      return record.denominacion || record.title;
+    }},
+    {key: 'link', label: Drupal.t('Enlace'), value: function (record) {
+      return record.link || '';
+    }},
+    {key: 'descripcion', label: Drupal.t('Descripción de la información'), value: function (record) {
+      return record.descripcion;
+    }},
+    {key: 'aplicabilidad', label: Drupal.t('Aplicabilidad para la Suprema Corte de Justicia de la Nación'), value: function (record) {
+      return record.aplicabilidad;
+    }},
+    {key: 'actualizacion', label: Drupal.t('Periodo de actualización'), value: function (record) {
+      return record.actualizacion;
+    }},
+    {key: 'conservacion', label: Drupal.t('Periodo de conservación de la información'), value: function (record) {
+      return record.conservacion;
+    }},
+    {key: 'observaciones', label: Drupal.t('Observaciones'), value: function (record) {
+      return record.observaciones;
+    }}
+  ];
+
+  /**
+   * Converts records into rows of cell values.
+   *
+   * @param {Object[]} records
+   *   The records to convert.
+   * @param {Boolean} [header=true]
+   *   Flag indicating whether to prepend a row with the column labels.
+   *
+   * @return {Array<String[]>}
+   *   The rows.
+   */
+  var rows = function (records, header) {
+    var list = header === void 0 || header ? [$.map(COLUMNS, function (column) {
+      return column.label;
+    })] : [];
+    $.each(records, function (i, record) {
+      list.push($.map(COLUMNS, function (column) {
+        return column.value(record) || '';
+      }));
+    });
+    return list;
+  };
+
+  /**
+   * Serializes records as CSV (RFC 4180).
+   *
+   * A byte order mark is prepended so spreadsheet applications detect UTF-8,
+   * and values starting with a formula character are prefixed with a quote so
+   * they are never evaluated.
+   *
+   * @param {Object[]} records
+   *   The records to serialize.
+   *
+   * @return {String}
+   *   The CSV document.
+   */
+  var csv = function (records) {
+    return '\uFEFF' + $.map(rows(records), function (row) {
+      return $.map(row, function (value) {
+        value = /^[=+\-@\t\r]/.test(value) ? '\'' + value : value;
+        return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+      }).join(',');
+    }).join('\r\n') + '\r\n';
+  };
+
+  /**
+   * Serializes records as JSON, grouped by article.
+   *
+   * @param {Object[]} records
+   *   The records to serialize.
+   *
+   * @return {String}
+   *   The JSON document.
+   */
+  var json = function (records) {
+    var articles = $.grep(Drupal.applicability.articles || [], function (article) {
+      return $.grep(records, function (record) {
+        return record.article === article.number;
+      }).length > 0;
+    });
+    var model = Drupal.applicability.toJSON({articles: $.map(articles, function (article) {
+      return $.extend({}, article, {records: $.grep(records, function (record) {
+        return record.article === article.number;
+      })});
+    })});
+    return JSON.stringify(model, null, 2);
+  };
+
+  /**
+   * Escapes a string for inclusion in XML.
+   *
+   * @param {String} str
+   *   The string to escape.
+   *
+   * @return {String}
+   *   The escaped string, without characters that are invalid in XML 1.0.
+   */
+  var xmlEscape = function (str) {
+    return String(str)
+      .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\uD800-\uDFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  };
+
+  /**
+   * Returns the spreadsheet column name of a zero based index.
+   *
+   * @param {Number} index
+   *   The column index.
+   *
+   * @return {String}
+   *   The column name, e.g. 0 => "A", 27 => "AB".
+   */
+  var columnName = function (index) {
+    var name = '';
+    for (index++; index > 0; index = Math.floor((index - 1) / 26)) {
+      name = String.fromCharCode(65 + (index - 1) % 26) + name;
+    }
+    return name;
+  };
+
+  var crcTable = null;
+
+  /**
+   * Computes the CRC-32 checksum of bytes, as required by the ZIP format.
+   *
+   * @param {Uint8Array} bytes
+   *   The bytes.
+   *
+   * @return {Number}
+   *   The unsigned checksum.
+   */
+  var crc32 = function (bytes) {
+    if (!crcTable) {
+      crcTable = [];
+      for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+    var crc = 0xFFFFFFFF;
+    for (var i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  };
+
+  /**
+   * Encodes a string as UTF-8.
+   *
+   * @param {String} str
+   *   The string.
+   *
+   * @return {Uint8Array}
+   *   The bytes.
+   */
+  var utf8 = function (str) {
+    if (window.TextEncoder) {
+      return new TextEncoder().encode(str);
+    }
+    var binary = unescape(encodeURIComponent(str));
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  };
+
+  /**
+   * Packs files into an uncompressed ("stored") ZIP archive.
+   *
+   * @param {Array<{name: string, content: string}>} files
+   *   The files to pack.
+   *
+   * @return {Uint8Array}
+   *   The archive.
+   */
+  var zip = function (files) {
+    var chunks = [];
+    var directory = [];
+    var offset = 0;
+
+    var header = function (fields) {
+      var bytes = new Uint8Array(fields.reduce(function (size, field) {
+        return size + field[1];
+      }, 0));
+      var view = new DataView(bytes.buffer);
+      var position = 0;
+      $.each(fields, function (i, field) {
+        if (field[1] === 4) {
+          view.setUint32(position, field[0], true);
+        }
+        else {
+          view.setUint16(position, field[0], true);
+        }
+        position += field[1];
+      });
+      return bytes;
+    };
+
+    // 1980-01-01 00:00, the earliest date a ZIP entry can hold.
+    var time = 0;
+    var date = (1 << 5) | 1;
+
+    $.each(files, function (i, file) {
+      var name = utf8(file.name);
+      var content = utf8(file.content);
+      var crc = crc32(content);
+      var common = [
+        [20, 2], [0x0800, 2], [0, 2], [time, 2], [date, 2],
+        [crc, 4], [content.length, 4], [content.length, 4], [name.length, 2], [0, 2]
+      ];
+
+      var local = header([[0x04034B50, 4]].concat(common));
+      chunks.push(local, name, content);
+
+      directory.push(header([[0x02014B50, 4], [20, 2]].concat(common, [[0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]])), name);
+      offset += local.length + name.length + content.length;
+    });
+
+    var size = directory.reduce(function (total, chunk) {
+      return total + chunk.length;
+    }, 0);
+    chunks = chunks.concat(directory, [header([
+      [0x06054B50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2], [size, 4], [offset, 4], [0, 2]
+    ])]);
+
+    var archive = new Uint8Array(offset + size + 22);
+    var position = 0;
+    $.each(chunks, function (i, chunk) {
+      archive.set(chunk, position);
+      position += chunk.length;
+    });
+    return archive;
+  };
+
+  /**
+   * Serializes records as an Office Open XML workbook.
+   *
+   * The workbook has one sheet per article; the first row of each sheet holds
+   * the column labels in bold and is frozen.
+   *
+   * @param {Object[]} records
+   *   The records to serialize.
+   *
+   * @return {Uint8Array}
+   *   The XLSX file.
+   */
+  var xlsx = function (records) {
+    var xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    var ns = 'http://schemas.openxmlformats.org/';
+    var articles = [];
+    $.each(records, function (i, record) {
+      if ($.inArray(record.article, articles) === -1) {
+        articles.push(record.article);
+      }
+    });
+
+    var files = [];
+    var sheets = '';
+    var relationships = '';
+    var overrides = '';
+
+    $.each(articles, function (i, article) {
+      var number = i + 1;
+      var data = rows($.grep(records, function (record) {
+        return record.article === article;
+      }));
+      var sheetData = $.map(data, function (row, r) {
+        return '<row r="' + (r + 1) + '">' + $.map(row, function (value, c) {
+          return '<c r="' + columnName(c) + (r + 1) + '" t="inlineStr"' + (r === 0 ? ' s="1"' : '') + '><is><t xml:space="preserve">' + xmlEscape(value) + '</t></is></c>';
+        }).join('') + '</row>';
+      }).join('');
+
+      files.push({
+        name: 'xl/worksheets/sheet' + number + '.xml',
+        content: xml + '<worksheet xmlns="' + ns + 'spreadsheetml/2006/main">' +
+          '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+          '<cols><col min="1" max="' + COLUMNS.length + '" width="40" customWidth="1"/></cols>' +
+          '<sheetData>' + sheetData + '</sheetData></worksheet>'
+      });
+      sheets += '<sheet name="' + xmlEscape(Drupal.t('Artículo @number', {'@number': article}).replace(/[\[\]:*?\/\\]/g, '').substr(0, 31)) + '" sheetId="' + number + '" r:id="rId' + number + '"/>';
+      relationships += '<Relationship Id="rId' + number + '" Type="' + ns + 'officeDocument/2006/relationships/worksheet" Target="worksheets/sheet' + number + '.xml"/>';
+      overrides += '<Override PartName="/xl/worksheets/sheet' + number + '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>';
+    });
+
+    relationships += '<Relationship Id="rId' + (articles.length + 1) + '" Type="' + ns + 'officeDocument/2006/relationships/styles" Target="styles.xml"/>';
+
+    return zip([
+      {
+        name: '[Content_Types].xml',
+        content: xml + '<Types xmlns="' + ns + 'package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+          overrides + '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        content: xml + '<Relationships xmlns="' + ns + 'package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="' + ns + 'officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+          '</Relationships>'
+      },
+      {
+        name: 'xl/workbook.xml',
+        content: xml + '<workbook xmlns="' + ns + 'spreadsheetml/2006/main" xmlns:r="' + ns + 'officeDocument/2006/relationships">' +
+          '<sheets>' + sheets + '</sheets></workbook>'
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        content: xml + '<Relationships xmlns="' + ns + 'package/2006/relationships">' + relationships + '</Relationships>'
+      },
+      {
+        name: 'xl/styles.xml',
+        content: xml + '<styleSheet xmlns="' + ns + 'spreadsheetml/2006/main">' +
+          '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+          '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+          '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+          '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+          '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf>' +
+          '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+          '</styleSheet>'
+      }
+    ].concat(files));
+  };
+
+  /**
+   * Offers content to the user as a file download.
+   *
+   * @param {String|Uint8Array} content
+   *   The file content.
+   * @param {String} filename
+   *   The file name.
+   * @param {String} type
+   *   The MIME type.
+   */
+  var download = function (content, filename, type) {
+    var blob = new Blob([content], {type: type});
+
+    // Legacy Edge and Internet Explorer.
+    if (window.navigator.msSaveOrOpenBlob) {
+      window.navigator.msSaveOrOpenBlob(blob, filename);
+      return;
+    }
+
+    var url = URL.createObjectURL(blob);
+    var $link = $('<a class="hidden"></a>').attr({href: url, download: filename}).appendTo('body');
+    $link[0].click();
+    $link.remove();
+    setTimeout(function () {
+      URL.revokeObjectURL(url);
+    }, 0);
+  };
+
+  /**
+   * Supported export formats.
+   *
+   * @type {Object<string,{label: string, type: string, serialize: Function}>}
+   */
+  var FORMATS = {
+    csv: {label: 'CSV', type: 'text/csv;charset=utf-8', serialize: csv},
+    xlsx: {label: 'XLSX', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', serialize: xlsx},
+    json: {label: 'JSON', type: 'application/json;charset=utf-8', serialize: json}
+  };
+
+  Drupal.applicability.export = {
+    COLUMNS: COLUMNS,
+    FORMATS: FORMATS,
+    crc32: crc32,
+    csv: csv,
+    download: download,
+    json: json,
+    rows: rows,
+    xlsx: xlsx,
+    zip: zip,
+
+    /**
+     * Exports records and offers the file as a download.
+     *
+     * @param {String} format
+     *   One of the keys of FORMATS.
+     * @param {Object[]} [records]
+     *   The records to export, defaults to every parsed record.
+     */
+    save: function (format, records) {
+      if (!FORMATS[format]) {
+        return Bootstrap.fatal('Unsupported export format: @format', {'@format': format});
+      }
+      records = records || Drupal.applicability.records || [];
+      download(FORMATS[format].serialize(records), 'tabla-de-aplicabilidad.' + format, FORMATS[format].type);
+    }
+  };
+
+  /**
+   * Adds the export controls above the applicability table.
+   */
+  Drupal.behaviors.applicabilityExport = {
+    attach: function (context) {
+      var $accordion = $(context).find('#accordionExample').addBack('#accordionExample');
+      if (!$accordion.length || !Drupal.applicability.records || !window.Blob) {
+        return;
+      }
+
+      Bootstrap.once('applicabilityExport', function () {
+        var $group = $('<div class="btn-group applicability-export" role="group"></div>')
+          .attr('aria-label', Drupal.t('Descargar la tabla de aplicabilidad'));
+        $.each(FORMATS, function (format, definition) {
+          $(Drupal.theme('button', {
+            value: Drupal.checkPlain(definition.label),
+            context: 'default',
+            'data-applicability-export': format,
+            title: Drupal.t('Descargar en formato @format', {'@format': definition.label})
+          })).appendTo($group);
+        });
+
+        $group.on('click', '[data-applicability-export]', function () {
+          Drupal.applicability.export.save($(this).attr('data-applicability-export'));
+        });
+
+        $('<div class="applicability-export-wrapper"></div>')
+          .append($('<span class="applicability-export-label"></span>').text(Drupal.t('Descargar:')), ' ', $group)
+          .insertBefore($accordion);
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
@@ -0,0 +1,286 @@
+/**
+ * @file
+ * Faceted filtering of the applicability table obligations.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * Returns the update periods of a record.
+   *
+   * @param {Object} record
+   *   A record from Drupal.applicability.records.
+   *
+   * @return {String[]}
+   *   The period keys, "otro" when none is recognized or "sin-dato" when the
+   *   record does not state a period.
+   */
+  var updatePeriods = function (record) {
+    var periods = Drupal.applicability.updatePeriods(record.actualizacion);
+    if (!Drupal.applicability.clean(record.actualizacion)) {
+      return ['sin-dato'];
+    }
+    return periods.length ? periods : ['otro'];
+  };
+
+  /**
+   * Returns the conservation periods of a record.
+   *
+   * @param {Object} record
+   *   A record from Drupal.applicability.records.
+   *
+   * @return {String[]}
+   *   The period keys: "vigente", "curso", "anteriores-N", "otro" or
+   *   "sin-dato".
+   */
+  var conservationPeriods = function (record) {
+    var periods = [];
+    if (!Drupal.applicability.clean(record.conservacion)) {
+      return ['sin-dato'];
+    }
+    $.each(Drupal.applicability.parseRetention(record.conservacion), function (i, rule) {
+      var period = 'otro';
+      if (rule.type === 'vigente') {
+        period = 'vigente';
+      }
+      else if (rule.type === 'ejercicios' && rule.previous) {
+        period = 'anteriores-' + rule.previous;
+      }
+      else if (rule.type === 'ejercicios' && rule.current) {
+        period = 'curso';
+      }
+      if ($.inArray(period, periods) === -1) {
+        periods.push(period);
+      }
+    });
+    return periods;
+  };
+
+  /**
+   * Available facets.
+   *
+   * Each facet returns the values of a record it can be filtered by, and the
+   * human readable label of each value.
+   *
+   * @type {Object<string,{label: string, values: Function, option: Function}>}
+   */
+  var facets = {
+    article: {
+      label: Drupal.t('Artículo'),
+      values: function (record) {
+        return [String(record.article)];
+      },
+      option: function (value) {
+        return Drupal.t('Artículo @number', {'@number': value});
+      }
+    },
+    aplicabilidad: {
+      label: Drupal.t('Aplicabilidad para la Suprema Corte'),
+      values: function (record) {
+        return [record.aplica === true ? 'aplica' : record.aplica === false ? 'no-aplica' : 'sin-dato'];
+      },
+      option: function (value) {
+        return {
+          'aplica': Drupal.t('Aplica'),
+          'no-aplica': Drupal.t('No aplica'),
+          'sin-dato': Drupal.t('Sin especificar')
+        }[value];
+      }
+    },
+    actualizacion: {
+      label: Drupal.t('Periodo de actualización'),
+      values: updatePeriods,
+      option: function (value) {
+        return {
+          'mensual': Drupal.t('Mensual'),
+          'trimestral': Drupal.t('Trimestral'),
+          'semestral': Drupal.t('Semestral'),
+          'anual': Drupal.t('Anual'),
+          'otro': Drupal.t('Otro'),
+          'sin-dato': Drupal.t('Sin especificar')
+        }[value];
+      }
+    },
+    conservacion: {
+      label: Drupal.t('Periodo de conservación'),
+      values: conservationPeriods,
+      option: function (value) {
+        var match = value.match(/^anteriores-(\d+)$/);
+        if (match) {
+          return Drupal.formatPlural(parseInt(match[1], 10), 'Ejercicio en curso y 1 anterior', 'Ejercicio en curso y @count anteriores');
+        }
+        return {
+          'vigente': Drupal.t('Información vigente'),
+          'curso': Drupal.t('Ejercicio en curso'),
+          'otro': Drupal.t('Otro'),
+          'sin-dato': Drupal.t('Sin especificar')
+        }[value];
+      }
+    }
+  };
+
+  /**
+   * Indicates whether a record matches the selected facet values.
+   *
+   * @param {Object} record
+   *   A record from Drupal.applicability.records.
+   * @param {Object<string,string>} criteria
+   *   The selected value of each facet, keyed by facet name. Empty values are
+   *   ignored.
+   *
+   * @return {Boolean}
+   *   TRUE or FALSE
+   */
+  var matches = function (record, criteria) {
+    for (var name in criteria) {
+      if (!criteria.hasOwnProperty(name) || !criteria[name] || !facets[name]) continue;
+      if ($.inArray(criteria[name], facets[name].values(record)) === -1) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  /**
+   * Filters the records.
+   *
+   * @param {Object<string,string>} criteria
+   *   The selected value of each facet, keyed by facet name.
+   *
+   * @return {Object[]}
+   *   The matching records.
+   */
+  var filter = function (criteria) {
+    return $.grep(Drupal.applicability.records || [], function (record) {
+      return matches(record, criteria);
+    });
+  };
+
+  /**
+   * Builds the options of a facet from the values present in the records.
+   *
+   * @param {String} name
+   *   The facet name.
+   *
+   * @return {String[]}
+   *   The sorted values.
+   */
+  var facetValues = function (name) {
+    var values = [];
+    $.each(Drupal.applicability.records || [], function (i, record) {
+      $.each(facets[name].values(record), function (j, value) {
+        if ($.inArray(value, values) === -1) {
+          values.push(value);
+        }
+      });
+    });
+    return values.sort(function (a, b) {
+      // Keep the catch-all values at the end of the list.
+      var weight = function (value) {
+        return /^(otro|sin-dato)$/.test(value) ? 1 : 0;
+      };
+      return weight(a) - weight(b) || a.localeCompare(b, 'es', {numeric: true});
+    });
+  };
+
+  Drupal.applicability.filters = {
+    facets: facets,
+    filter: filter,
+    matches: matches,
+
+    /**
+     * Shows the obligations matching the criteria and hides the rest.
+     *
+     * The notes of the articles are only shown while no criterion is set.
+     *
+     * @param {Object<string,string>} criteria
+     *   The selected value of each facet, keyed by facet name.
+     *
+     * @return {Object[]}
+     *   The matching records.
+     */
+    apply: function (criteria) {
+      var matched = filter(criteria);
+      $.each(Drupal.applicability.records || [], function (i, record) {
+        $(record.element).toggleClass('hidden', $.inArray(record, matched) === -1);
+      });
+      var filtered = $.grep($.map(criteria || {}, function (value) {
+        return value;
+      }), Boolean).length > 0;
+      $.each(Drupal.applicability.notes || [], function (i, note) {
+        $(note.element).toggleClass('hidden', filtered);
+      });
+      $(document).trigger('filtered.applicability', [matched, criteria]);
+      return matched;
+    }
+  };
+
+  /**
+   * Adds the filter bar above the applicability table.
+   */
+  Drupal.behaviors.applicabilityFilters = {
+    attach: function (context) {
+      var $accordion = $(context).find('#accordionExample').addBack('#accordionExample');
+      if (!$accordion.length || !Drupal.applicability.records) {
+        return;
+      }
+
+      Bootstrap.once('applicabilityFilters', function () {
+        var $form = $('<form class="applicability-filters form-inline" role="search"></form>')
+          .attr('aria-label', Drupal.t('Filtrar obligaciones'));
+        var $count = $('<p class="applicability-filters-count" role="status" aria-live="polite"></p>');
+
+        $.each(facets, function (name, facet) {
+          var id = 'applicability-filter-' + name;
+          var $select = $('<select class="form-control"></select>')
+            .attr({id: id, name: name})
+            .append($('<option value=""></option>').text(Drupal.t('Todos')));
+          $.each(facetValues(name), function (i, value) {
+            $select.append($('<option></option>').attr('value', value).text(facet.option(value)));
+          });
+          $('<div class="form-group"></div>')
+            .append($('<label></label>').attr('for', id).text(facet.label), ' ', $select)
+            .appendTo($form);
+        });
+
+        $form.append(' ', Drupal.theme('button', {
+          value: Drupal.checkPlain(Drupal.t('Limpiar filtros')),
+          type: 'reset',
+          context: 'link',
+          'class': ['applicability-filters-reset']
+        }));
+
+        var update = function () {
+          var criteria = {};
+          $.each($form.serializeArray(), function (i, field) {
+            criteria[field.name] = field.value;
+          });
+          var matched = Drupal.applicability.filters.apply(criteria);
+          $count.text(Drupal.formatPlural(matched.length, '1 obligación encontrada', '@count obligaciones encontradas'));
+
+          // Open the accordion of the selected article.
+          if (criteria.article) {
+            $('#' + Drupal.applicability.ARTICLES[criteria.article]).collapse('show');
+          }
+        };
+
+        $form
+          .on('change', 'select', update)
+          .on('reset', function () {
+            // Wait for the browser to restore the default values.
+            setTimeout(update, 0);
+          })
+          .on('submit', function (e) {
+            e.preventDefault();
+          });
+
+        $('<div class="applicability-filters-wrapper"></div>')
+          .append($form, $count)
+          .insertBefore($accordion);
+
+        update();
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
@@ -0,0 +1,718 @@
+/**
+ * @file
+ * Data model for the "Tabla de Aplicabilidad" accordions.
+ *
+ * The applicability table is published as one accordion per article (70, 73
+ * and 77), each containing one ".menu-contenedor" block per obligation. This
+ * file turns that markup into a structured model so other scripts can filter,
+ * export or validate obligations without scraping the DOM themselves.
+ *
+ * The parser only relies on "children", "tagName", "getAttribute" and
+ * "textContent", so it can also be required from Node and run against any
+ * tree of elements that provides them.
+ *
+ * Pages built with "scripts/build-applicability.js render --lazy" ship the
+ * panels empty, and their rows as a JSON payload in
+ * <script type="application/json" id="applicability-data">:
+ * {"records": {"collapseExample4": {"link": "…", "fields": [{"label": "…",
+ * "value": "…"}, …]}, …}}. The parser reads the rows of those panels from the
+ * payload, so the model is the same either way.
+ */
+(function (root, factory) {
+  'use strict';
+
+  var api = factory();
+
+  // Node (build and lint scripts).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  // Browser.
+  root.Drupal = root.Drupal || {};
+  root.Drupal.applicability = api;
+
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /**
+   * Ids of the article accordions, keyed by article number.
+   *
+   * @type {Object<number,string>}
+   */
+  var ARTICLES = {
+    70: 'collapse1',
+    73: 'collapse2',
+    77: 'collapse3'
+  };
+
+  /**
+   * Known record fields, in the order they are published.
+   *
+   * Each label is matched against the normalized text of the row heading, so
+   * trailing spaces, accents or capitalization in the markup do not matter.
+   *
+   * @type {Array<{key: string, label: string}>}
+   */
+  var FIELDS = [
+    {key: 'fraccion', label: 'Fracción'},
+    {key: 'denominacion', label: 'Denominación de la información'},
+    {key: 'descripcion', label: 'Descripción de la información'},
+    {key: 'aplicabilidad', label: 'Aplicabilidad para la Suprema Corte de Justicia de la Nación'},
+    {key: 'actualizacion', label: 'Periodo de actualización'},
+    {key: 'observaciones', label: 'Observaciones'},
+    {key: 'conservacion', label: 'Periodo de conservación de la información'}
+  ];
+
+  /**
+   * Collapses whitespace (including non-breaking spaces) and trims a string.
+   *
+   * @param {String} str
+   *   The string to clean.
+   *
+   * @return {String}
+   *   The cleaned string.
+   */
+  var clean = function (str) {
+    return (str || '').replace(/\s+/g, ' ').replace(/^\s+|\s+$/g, '');
+  };
+
+  /**
+   * Retrieves the text of a heading, without stray markup.
+   *
+   * Markup escaped by mistake in the source (e.g. "Evaluaciones y
+   * encuestas/h2&gt;") is displayed as text, but is not part of the title.
+   *
+   * @param {Element} heading
+   *   The heading.
+   *
+   * @return {String}
+   *   The cleaned text.
+   */
+  var headingText = function (heading) {
+    return clean(heading.textContent.replace(/<\/?[a-z][^<>]*>|\/[a-z][a-z0-9]*\s*>/gi, ' '));
+  };
+
+  /**
+   * Normalizes a string for accent and case insensitive comparisons.
+   *
+   * @param {String} str
+   *   The string to normalize.
+   *
+   * @return {String}
+   *   A lower-cased string without diacritics.
+   */
+  var normalize = function (str) {
+    str = clean(str).toLowerCase();
+    return str.normalize ? str.normalize('NFD').replace(/[\u0300-\u036f]/g, '') : str;
+  };
+
+  /**
+   * Creates a URL friendly slug out of a string.
+   *
+   * @param {String} str
+   *   The string to convert.
+   *
+   * @return {String}
+   *   The slug, e.g. "Viáticos y gastos" => "viaticos-y-gastos".
+   */
+  var slug = function (str) {
+    return normalize(str).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  };
+
+  /**
+   * Converts a Roman numeral into an integer.
+   *
+   * @param {String} roman
+   *   The Roman numeral, e.g. "XLIV".
+   *
+   * @return {Number|null}
+   *   The integer value or NULL if the numeral is not well formed.
+   */
+  var romanToInt = function (roman) {
+    roman = (roman || '').toUpperCase();
+    if (!roman || !/^M{0,3}(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/.test(roman)) {
+      return null;
+    }
+    var values = {I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000};
+    var total = 0;
+    for (var i = 0; i < roman.length; i++) {
+      var current = values[roman.charAt(i)];
+      var next = values[roman.charAt(i + 1)] || 0;
+      total += current < next ? -current : current;
+    }
+    return total;
+  };
+
+  /**
+   * Parses a "Fracción" cell, e.g. "Décima Primera (XI)".
+   *
+   * @param {String} label
+   *   The text of the cell.
+   *
+   * @return {{label: String, roman: String|null, number: Number|null}}
+   *   The parsed fracción.
+   */
+  var parseFraccion = function (label) {
+    label = clean(label);
+    var match = label.match(/\(\s*([IVXLCDM]+)\s*\)/i);
+    var roman = match ? match[1].toUpperCase() : null;
+    return {
+      label: label,
+      roman: roman,
+      number: romanToInt(roman)
+    };
+  };
+
+  /**
+   * Update periods recognized in "Periodo de actualización".
+   *
+   * @type {Object<string,RegExp>}
+   */
+  var PERIODS = {
+    mensual: /mensual/,
+    trimestral: /trimestral/,
+    semestral: /semestral/,
+    anual: /\banual/
+  };
+
+  /**
+   * Parses a "Periodo de actualización" cell.
+   *
+   * @param {String} text
+   *   The text of the cell, e.g. "Trimestral y anual".
+   *
+   * @return {String[]}
+   *   The keys of the PERIODS found, in the order they are declared.
+   */
+  var updatePeriods = function (text) {
+    var periods = [];
+    text = normalize(text);
+    for (var key in PERIODS) {
+      if (PERIODS.hasOwnProperty(key) && PERIODS[key].test(text)) {
+        periods.push(key);
+      }
+    }
+    return periods;
+  };
+
+  /**
+   * Number words used in "Periodo de conservación de la información".
+   *
+   * @type {Object<string,number>}
+   */
+  var NUMBERS = {un: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10};
+
+  /**
+   * Parses a "Periodo de conservación de la información" cell.
+   *
+   * The text is split into clauses (e.g. "En cuanto a la normatividad:
+   * información vigente. Respecto a ...") and each clause produces one or more
+   * rules:
+   * - "vigente": kept while the information is in force.
+   * - "ejercicios": kept during the current fiscal year ("current") and the
+   *   given number of previous ones ("previous").
+   * - "semestres": kept during the current semester and the given number of
+   *   previous ones.
+   * - "permanente": kept since the creation of the obligated subject.
+   * - "desconocido": the clause could not be understood.
+   *
+   * @param {String} text
+   *   The text of the cell.
+   *
+   * @return {Array<{type: string, current: boolean, previous: number, scope: ?string, text: string}>}
+   *   The rules, in order of appearance.
+   */
+  var parseRetention = function (text) {
+    var rules = [];
+    var clauses = clean(text).split(/[.;]\s+|\.$/);
+
+    for (var i = 0; i < clauses.length; i++) {
+      var clause = clean(clauses[i]);
+      var scope = clause.match(/^(?:en cuanto al?|respecto (?:a|al|de|del)) ([^:]+):/i);
+      var str = normalize(clause);
+      var count = str.match(/\b(un|uno|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|diez|\d+) ejercicios?\b/);
+      var length = rules.length;
+      var rule = function (type, current, previous) {
+        rules.push({type: type, current: current, previous: previous, scope: scope ? scope[1] : null, text: clause});
+      };
+      if (!str) continue;
+
+      if (/semestre anterior/.test(str)) {
+        rule('semestres', true, 1);
+      }
+      else if (/vigente/.test(str)) {
+        rule('vigente', false, 0);
+      }
+
+      if (/desde la creacion/.test(str)) {
+        rule('permanente', true, 0);
+      }
+      else if (count) {
+        // "durante dos ejercicios" and "dos ejercicios anteriores concluidos"
+        // do not include the fiscal year in course.
+        rule('ejercicios', /en curso/.test(str) && !/durante|concluidos/.test(str), NUMBERS[count[1]] || parseInt(count[1], 10));
+      }
+      else if (/ejercicio (inmediato )?anterior/.test(str)) {
+        rule('ejercicios', /en curso/.test(str), 1);
+      }
+      else if (/ejercicio en curso/.test(str)) {
+        rule('ejercicios', true, 0);
+      }
+
+      if (rules.length === length) {
+        rule('desconocido', false, 0);
+      }
+    }
+
+    return rules;
+  };
+
+  /**
+   * Returns the known field key for a row heading.
+   *
+   * @param {String} label
+   *   The row heading text.
+   *
+   * @return {String|null}
+   *   The field key or NULL if the heading is unknown.
+   */
+  var fieldKey = function (label) {
+    label = normalize(label);
+    for (var i = 0; i < FIELDS.length; i++) {
+      if (label.indexOf(normalize(FIELDS[i].label)) === 0) {
+        return FIELDS[i].key;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Indicates whether a node has a class.
+   *
+   * @param {Element} node
+   *   The node to check.
+   * @param {String} className
+   *   The class name.
+   *
+   * @return {Boolean}
+   *   TRUE or FALSE
+   */
+  var hasClass = function (node, className) {
+    return (' ' + (node.getAttribute && node.getAttribute('class') || '') + ' ').replace(/\s+/g, ' ').indexOf(' ' + className + ' ') !== -1;
+  };
+
+  /**
+   * Finds all descendant elements matching a callback, in document order.
+   *
+   * @param {Element} node
+   *   The node to search in.
+   * @param {Function} callback
+   *   A function that receives an element and returns TRUE when it matches.
+   * @param {Boolean} [shallow]
+   *   Flag indicating whether or not to stop descending into matches.
+   *
+   * @return {Element[]}
+   *   The matching elements.
+   */
+  var findAll = function (node, callback, shallow) {
+    var found = [];
+    var children = node.children || [];
+    for (var i = 0; i < children.length; i++) {
+      if (callback(children[i])) {
+        found.push(children[i]);
+        if (shallow) continue;
+      }
+      found = found.concat(findAll(children[i], callback, shallow));
+    }
+    return found;
+  };
+
+  /**
+   * Finds the first descendant element matching a callback.
+   *
+   * @param {Element} node
+   *   The node to search in.
+   * @param {Function} callback
+   *   A function that receives an element and returns TRUE when it matches.
+   *
+   * @return {Element|null}
+   *   The matching element or NULL.
+   */
+  var find = function (node, callback) {
+    var children = node.children || [];
+    for (var i = 0; i < children.length; i++) {
+      if (callback(children[i])) {
+        return children[i];
+      }
+      var found = find(children[i], callback);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Returns a tag matcher for find() and findAll().
+   *
+   * @param {String} tagName
+   *   The tag name.
+   *
+   * @return {Function}
+   *   The matcher.
+   */
+  var tag = function (tagName) {
+    return function (node) {
+      return (node.tagName || '').toLowerCase() === tagName;
+    };
+  };
+
+  /**
+   * Finds an element by its id.
+   *
+   * @param {Element|Document} node
+   *   The node to search in.
+   * @param {String} id
+   *   The id.
+   *
+   * @return {Element|null}
+   *   The element or NULL.
+   */
+  var byId = function (node, id) {
+    return find(node, function (el) {
+      return el.getAttribute && el.getAttribute('id') === id;
+    });
+  };
+
+  /**
+   * Builds the location of a node, used when reporting problems.
+   *
+   * @param {Element} node
+   *   The node.
+   *
+   * @return {{id: String|null, line: Number|null}}
+   *   The id of the node and, when known, its line in the source HTML.
+   */
+  var locate = function (node) {
+    return {
+      id: node && node.getAttribute && node.getAttribute('id') || null,
+      line: node && node.line || null
+    };
+  };
+
+  /**
+   * Reads the payload of the panels rendered on demand.
+   *
+   * @param {Document|Element} root
+   *   The document, or any element containing the payload.
+   *
+   * @return {Object|null}
+   *   The payload, NULL if there is none or it is invalid.
+   */
+  var payload = function (root) {
+    var script = byId(root, 'applicability-data');
+    try {
+      return script ? JSON.parse(script.textContent) : null;
+    }
+    catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * Parses a single ".menu-contenedor" block.
+   *
+   * @param {Element} container
+   *   The ".menu-contenedor" element.
+   * @param {Number} article
+   *   The article number the block belongs to.
+   * @param {Object} [sources]
+   *   The records of the payload keyed by panel id, used when the panel is
+   *   empty.
+   *
+   * @return {Object}
+   *   The record.
+   */
+  var parseRecord = function (container, article, sources) {
+    var heading = find(container, tag('h2'));
+    var toggle = find(container, function (el) {
+      return hasClass(el, 'menu') && !!el.getAttribute('data-bs-target');
+    });
+    var panel = find(container, function (el) {
+      return hasClass(el, 'collapse');
+    });
+
+    var record = {
+      article: article,
+      id: panel && panel.getAttribute('id') || null,
+      title: heading ? headingText(heading) : '',
+      fraccion: null,
+      denominacion: '',
+      link: null,
+      descripcion: '',
+      aplicabilidad: '',
+      aplica: null,
+      actualizacion: '',
+      observaciones: '',
+      conservacion: '',
+      fields: [],
+      element: container,
+      heading: heading,
+      toggle: toggle,
+      panel: panel,
+      location: locate(panel || container)
+    };
+
+    var seen = {};
+    var add = function (label, value, link, location) {
+      var key = fieldKey(label);
+
+      record.fields.push({
+        key: key,
+        label: label,
+        value: value,
+        location: location
+      });
+
+      // Only the first occurrence of a field populates the record.
+      if (!key || seen[key]) {
+        return;
+      }
+      seen[key] = true;
+
+      if (key === 'fraccion') {
+        record.fraccion = parseFraccion(value);
+      }
+      else {
+        record[key] = value;
+      }
+
+      if (key === 'denominacion' && link) {
+        record.link = link;
+      }
+      if (key === 'aplicabilidad') {
+        record.aplica = normalize(value) === 'aplica' ? true : /^no aplica/.test(normalize(value)) ? false : null;
+      }
+    };
+
+    var rows = panel ? findAll(panel, function (el) {
+      return hasClass(el, 'row') && hasClass(el, 'border-bottom');
+    }, true) : [];
+
+    for (var i = 0; i < rows.length; i++) {
+      var cells = rows[i].children || [];
+      var anchor = cells[1] ? find(cells[1], function (el) {
+        return tag('a')(el) && !!el.getAttribute('href');
+      }) : null;
+      add(cells[0] ? clean(cells[0].textContent) : '', cells[1] ? clean(cells[1].textContent) : '', anchor && anchor.getAttribute('href'), locate(rows[i]));
+    }
+
+    var source = !rows.length && record.id && sources && sources.hasOwnProperty(record.id) ? sources[record.id] : null;
+    if (source && source.fields) {
+      for (var j = 0; j < source.fields.length; j++) {
+        add(clean(source.fields[j].label), clean(source.fields[j].value), source.link, record.location);
+      }
+    }
+
+    record.slug = 'art' + article + (record.fraccion && record.fraccion.roman ? '-fr-' + record.fraccion.roman.toLowerCase() : '') + '-' + slug(record.title);
+
+    return record;
+  };
+
+  /**
+   * Parses the article accordions into a structured model.
+   *
+   * Only the blocks of a fracción are obligations. The others (e.g. the block
+   * of the last paragraph of the article 70, which has no fracción) are kept
+   * apart as the "notes" of their article, so they are rendered again but not
+   * filtered, searched or exported as obligations.
+   *
+   * @param {Document|Element} root
+   *   The document, or any element containing the "#collapse1/2/3" accordions.
+   * @param {Object} [data]
+   *   The payload of the panels rendered on demand, read from the
+   *   "#applicability-data" script of the root by default.
+   *
+   * @return {{articles: Object[], records: Object[], notes: Object[]}}
+   *   The model, with the records and notes grouped by article and flattened.
+   */
+  var parse = function (root, data) {
+    var model = {articles: [], records: [], notes: []};
+    var slugs = {};
+    root = root.documentElement || root;
+    data = data || payload(root) || {records: {}};
+
+    for (var number in ARTICLES) {
+      if (!ARTICLES.hasOwnProperty(number)) continue;
+      var accordion = byId(root, ARTICLES[number]);
+      if (!accordion) continue;
+
+      var heading = find(accordion, tag('h2'));
+      var intro = find(accordion, function (el) {
+        return tag('strong')(el) && hasClass(el, 'text-primary');
+      });
+      var article = {
+        number: parseInt(number, 10),
+        id: ARTICLES[number],
+        title: heading ? clean(heading.textContent) : '',
+        description: intro ? clean(intro.textContent) : '',
+        element: accordion,
+        records: [],
+        notes: []
+      };
+
+      var containers = findAll(accordion, function (el) {
+        return hasClass(el, 'menu-contenedor');
+      }, true);
+      for (var i = 0; i < containers.length; i++) {
+        var record = parseRecord(containers[i], article.number, data.records || {});
+        if (!record.fraccion) {
+          article.notes.push(record);
+          continue;
+        }
+
+        // Slugs are used as anchors, keep them unique within the page.
+        if (slugs[record.slug]) {
+          record.slug += '-' + (++slugs[record.slug]);
+        }
+        else {
+          slugs[record.slug] = 1;
+        }
+        article.records.push(record);
+      }
+
+      model.articles.push(article);
+      model.records = model.records.concat(article.records);
+      model.notes = model.notes.concat(article.notes);
+    }
+
+    return model;
+  };
+
+  /**
+   * Returns a serializable copy of a record, without DOM references.
+   *
+   * @param {Object} record
+   *   The record.
+   *
+   * @return {Object}
+   *   A plain object suitable for JSON.stringify().
+   */
+  var toPlainRecord = function (record) {
+    var plain = {};
+    for (var key in record) {
+      if (!record.hasOwnProperty(key) || /^(element|heading|toggle|panel)$/.test(key)) continue;
+      plain[key] = record[key];
+    }
+    return plain;
+  };
+
+  /**
+   * Returns a serializable copy of a model, without DOM references.
+   *
+   * @param {{articles: Object[]}} model
+   *   The model returned by parse().
+   *
+   * @return {{articles: Object[]}}
+   *   A plain object suitable for JSON.stringify().
+   */
+  var toJSON = function (model) {
+    return {
+      articles: model.articles.map(function (article) {
+        return {
+          number: article.number,
+          id: article.id,
+          title: article.title,
+          description: article.description,
+          records: article.records.map(toPlainRecord),
+          notes: (article.notes || []).map(toPlainRecord)
+        };
+      })
+    };
+  };
+
+  return {
+    ARTICLES: ARTICLES,
+    FIELDS: FIELDS,
+    PERIODS: PERIODS,
+    clean: clean,
+    fieldKey: fieldKey,
+    headingText: headingText,
+    normalize: normalize,
+    parse: parse,
+    parseFraccion: parseFraccion,
+    parseRetention: parseRetention,
+    payload: payload,
+    romanToInt: romanToInt,
+    slug: slug,
+    toJSON: toJSON,
+    toPlainRecord: toPlainRecord,
+    updatePeriods: updatePeriods,
+    util: {
+      byId: byId,
+      find: find,
+      findAll: findAll,
+      hasClass: hasClass,
+      tag: tag
+    }
+  };
+});
+
+/**
+ * Exposes the model of the current page on Drupal.applicability.
+ */
+(function ($, Drupal) {
+  'use strict';
+
+  // Immediately return outside of the browser (e.g. when required from Node).
+  if (!$ || !Drupal || !Drupal.behaviors) {
+    return;
+  }
+
+  /**
+   * Retrieves a parsed record.
+   *
+   * @param {String} key
+   *   The id of the record panel (e.g. "collapseExample4") or its slug
+   *   (e.g. "art70-fr-i-normativa").
+   *
+   * @return {Object|null}
+   *   The record or NULL if it does not exist.
+   */
+  Drupal.applicability.get = function (key) {
+    var records = this.records || [];
+    for (var i = 0; i < records.length; i++) {
+      if (records[i].id === key || records[i].slug === key) {
+        return records[i];
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Parses the applicability table accordions.
+   *
+   * Once parsed, the model is available as Drupal.applicability.articles,
+   * Drupal.applicability.records and Drupal.applicability.notes, and a
+   * "parsed.applicability" event is triggered on the document with the model
+   * as its argument.
+   */
+  Drupal.behaviors.applicabilityTable = {
+    attach: function (context) {
+      // Only parse again when the attached context contains obligations.
+      if (Drupal.applicability.records && !$(context).find('.menu-contenedor').addBack('.menu-contenedor').length) {
+        return;
+      }
+
+      var model = Drupal.applicability.parse(document);
+      Drupal.applicability.articles = model.articles;
+      Drupal.applicability.records = model.records;
+      Drupal.applicability.notes = model.notes;
+
+      $(document).trigger('parsed.applicability', [model]);
+    }
+  };
+
+})(typeof window !== 'undefined' && window.jQuery, typeof window !== 'undefined' && window.Drupal);
@@ -0,0 +1,181 @@
+/**
+ * @file
+ * WAI-ARIA accordion keyboard pattern for the article and obligation headers.
+ *
+ * The toggles of the articles form one accordion, and the toggles of the
+ * obligations of each article a nested one. Within an accordion, Up/Down move
+ * to the previous/next header, Home/End to the first/last one, and
+ * Enter/Space toggle the panel of the focused header.
+ *
+ * @see https://www.w3.org/WAI/ARIA/apg/patterns/accordion/
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * The key codes handled by the headers.
+   *
+   * @type {Object<Number,String>}
+   */
+  var KEYS = {
+    13: 'toggle',
+    32: 'toggle',
+    35: 'last',
+    36: 'first',
+    38: 'previous',
+    40: 'next'
+  };
+
+  /**
+   * Ensures an element has an id.
+   *
+   * @param {Element} element
+   *   The element.
+   * @param {String} id
+   *   The id to give it if it has none.
+   *
+   * @return {String}
+   *   The id of the element.
+   */
+  var identify = function (element, id) {
+    if (!element.id) {
+      element.id = id;
+    }
+    return element.id;
+  };
+
+  /**
+   * Indicates whether a collapsible element is open.
+   *
+   * @param {Element} element
+   *   The ".collapse" element.
+   *
+   * @return {Boolean}
+   *   TRUE or FALSE
+   */
+  var isOpen = function (element) {
+    // Bootstrap 3 uses "in", Bootstrap 5 uses "show".
+    return $(element).hasClass('in') || $(element).hasClass('show');
+  };
+
+  /**
+   * Wires a header to its panel.
+   *
+   * @param {Element} header
+   *   The element toggling the panel.
+   * @param {Element} panel
+   *   The ".collapse" element.
+   * @param {String} group
+   *   The accordion of the header.
+   * @param {Element} label
+   *   The element labelling the header and the panel.
+   */
+  var wire = function (header, panel, group, label) {
+    var $header = $(header);
+
+    $header.attr({
+      'data-applicability-accordion': group,
+      'aria-controls': panel.id,
+      'aria-expanded': isOpen(panel) ? 'true' : 'false'
+    });
+    if (label !== header) {
+      $header.attr('aria-labelledby', label.id);
+    }
+    // Links without a href can't be focused nor activated from the keyboard.
+    if (!$header.is('button, [href]')) {
+      $header.attr({role: 'button', tabindex: '0'});
+    }
+
+    $(panel).attr({
+      role: 'region',
+      'aria-labelledby': label.id
+    });
+  };
+
+  /**
+   * Retrieves the headers of an accordion which can be reached.
+   *
+   * @param {String} group
+   *   The accordion.
+   *
+   * @return {jQuery}
+   *   The headers, without those of the obligations hidden by the filters.
+   */
+  var headers = function (group) {
+    return $('[data-applicability-accordion]').filter(function () {
+      return $(this).attr('data-applicability-accordion') === group && !$(this).closest('.hidden').length;
+    });
+  };
+
+  Drupal.applicability.keyboard = {
+    headers: headers,
+
+    /**
+     * Wires the headers of the parsed articles and obligations.
+     */
+    wire: function () {
+      $.each(Drupal.applicability.articles || [], function (i, article) {
+        var panel = article.element;
+        var $toggle = $('[data-bs-target="#' + panel.id + '"][data-bs-toggle="collapse"]').first();
+        if ($toggle.length) {
+          identify($toggle[0], 'applicability-' + panel.id + '-header');
+          wire($toggle[0], panel, 'articles', $toggle[0]);
+        }
+      });
+
+      $.each(Drupal.applicability.records || [], function (i, record) {
+        if (!record.toggle || !record.panel || !record.heading) {
+          return;
+        }
+        identify(record.heading, 'applicability-' + record.slug + '-heading');
+        identify(record.toggle, 'applicability-' + record.slug + '-header');
+        wire(record.toggle, record.panel, String(record.article), record.heading);
+      });
+    }
+  };
+
+  /**
+   * Adds the WAI-ARIA accordion keyboard pattern to the headers.
+   */
+  Drupal.behaviors.applicabilityKeyboard = {
+    attach: function () {
+      if (!Drupal.applicability.articles) {
+        return;
+      }
+
+      Drupal.applicability.keyboard.wire();
+
+      Bootstrap.once('applicabilityKeyboard', function () {
+        $(document).on('keydown.applicabilityKeyboard', '[data-applicability-accordion]', function (e) {
+          var action = KEYS[e.which];
+          if (!action || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) {
+            return;
+          }
+
+          if (action === 'toggle') {
+            // Buttons are activated by the browser itself.
+            if (!$(this).is('button')) {
+              e.preventDefault();
+              this.click();
+            }
+            return;
+          }
+
+          var $headers = headers($(this).attr('data-applicability-accordion'));
+          var index = $headers.index(this);
+          var last = $headers.length - 1;
+          var target = {
+            first: 0,
+            last: last,
+            previous: index > 0 ? index - 1 : last,
+            next: index < last ? index + 1 : 0
+          }[action];
+
+          e.preventDefault();
+          $headers.eq(target).trigger('focus');
+        });
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
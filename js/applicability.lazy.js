@@ -0,0 +1,200 @@
+/**
+ * @file
+ * Renders the obligation panels on demand.
+ *
+ * Pages built with "scripts/build-applicability.js render --lazy" ship the
+ * panels empty ("data-applicability-lazy") and their rows as a JSON payload.
+ * A panel is rendered the first time it opens, and the remaining ones while
+ * the browser is idle, so find-in-page eventually reaches all of them.
+ *
+ * On those pages, collapsed panels are marked hidden="until-found" where
+ * supported, so find-in-page also matches text in closed panels and opens
+ * them. Pages rendered in full are left as they are.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * Whether the browser supports hidden="until-found".
+   *
+   * @type {Boolean}
+   */
+  var UNTIL_FOUND = 'onbeforematch' in document.documentElement;
+
+  /**
+   * The number of milliseconds left in an idle period to render a panel.
+   *
+   * @type {Number}
+   */
+  var IDLE_MARGIN = 5;
+
+  /**
+   * The payload of the page, read on first use.
+   *
+   * @type {Object|null}
+   */
+  var data = null;
+
+  /**
+   * Lists the panels still to render.
+   *
+   * @return {jQuery}
+   *   The empty panels.
+   */
+  var pending = function () {
+    return $('[data-applicability-lazy]');
+  };
+
+  /**
+   * Renders an empty panel.
+   *
+   * @param {Element} panel
+   *   The ".collapse" element.
+   *
+   * @return {Boolean}
+   *   TRUE if the panel was rendered, FALSE if it already was or its rows are
+   *   not in the payload.
+   */
+  var render = function (panel) {
+    var $panel = $(panel);
+    if (!$panel.is('[data-applicability-lazy]')) {
+      return false;
+    }
+
+    data = data || Drupal.applicability.payload(document) || {records: {}};
+    var entry = data.records && data.records.hasOwnProperty(panel.id) ? data.records[panel.id] : null;
+    if (!entry) {
+      Bootstrap.warn('No rows for the panel @id in the applicability payload.', {'@id': panel.id});
+      $panel.removeAttr('data-applicability-lazy');
+      return false;
+    }
+
+    $panel
+      .removeAttr('data-applicability-lazy')
+      .html(Drupal.applicability.templates.body(entry).join('\n'));
+    Drupal.attachBehaviors(panel, window.drupalSettings);
+    return true;
+  };
+
+  /**
+   * Renders all the empty panels.
+   */
+  var renderAll = function () {
+    pending().each(function () {
+      render(this);
+    });
+  };
+
+  /**
+   * Renders the empty panels while the browser is idle.
+   */
+  var renderIdle = function () {
+    var schedule = window.requestIdleCallback || function (callback) {
+      return window.setTimeout(function () {
+        callback({
+          timeRemaining: function () {
+            return IDLE_MARGIN + 10;
+          }
+        });
+      }, 50);
+    };
+
+    schedule(function step(deadline) {
+      var $pending = pending();
+      for (var i = 0; i < $pending.length && deadline.timeRemaining() > IDLE_MARGIN; i++) {
+        render($pending[i]);
+      }
+      if (pending().length) {
+        schedule(step);
+      }
+    });
+  };
+
+  /**
+   * Hides a collapsed element so find-in-page can still reveal it.
+   *
+   * @param {Element} element
+   *   The ".collapse" element.
+   * @param {Boolean} hidden
+   *   Whether the element is collapsed.
+   */
+  var untilFound = function (element, hidden) {
+    if (!UNTIL_FOUND) {
+      return;
+    }
+    if (hidden) {
+      $(element).attr('hidden', 'until-found');
+    }
+    else {
+      $(element).removeAttr('hidden');
+    }
+  };
+
+  Drupal.applicability.lazy = {
+    pending: pending,
+    render: render,
+    renderAll: renderAll
+  };
+
+  /**
+   * Renders the obligation panels on demand.
+   */
+  Drupal.behaviors.applicabilityLazy = {
+    attach: function (context) {
+      var $accordion = $(context).find('#accordionExample').addBack('#accordionExample');
+      if (!$accordion.length) {
+        return;
+      }
+
+      Bootstrap.once('applicabilityLazy', function () {
+        var selector = '.acc-normativa .collapse';
+
+        // Only pages built with "render --lazy" ship a payload.
+        if (!data && !Drupal.applicability.payload(document) && !pending().length) {
+          return;
+        }
+
+        $(document)
+          .on('show.bs.collapse', selector, function (e) {
+            if (e.target === this) {
+              untilFound(this, false);
+              render(this);
+            }
+          })
+          .on('hidden.bs.collapse', selector, function (e) {
+            if (e.target === this) {
+              untilFound(this, true);
+            }
+          })
+          // Fired when find-in-page matches text of a hidden="until-found"
+          // element, which the browser has just revealed.
+          .on('beforematch', selector, function (e) {
+            if (e.target === this) {
+              $(this).collapse('show');
+            }
+          })
+          // Find-in-page can't wait for the idle rendering.
+          .on('keydown', function (e) {
+            if ((e.ctrlKey || e.metaKey) && (e.key || '').toLowerCase() === 'f') {
+              renderAll();
+            }
+          });
+
+        $(selector).each(function () {
+          // Bootstrap 3 uses "in", Bootstrap 5 uses "show".
+          untilFound(this, !$(this).hasClass('in') && !$(this).hasClass('show'));
+        });
+
+        // Panels opened later (e.g. restored or deep linked ones) are rendered
+        // by the show.bs.collapse handler, the rest when the browser is idle.
+        pending().filter('.in, .show').each(function () {
+          render(this);
+        });
+        if (pending().length) {
+          renderIdle();
+        }
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
@@ -0,0 +1,332 @@
+/**
+ * @file
+ * Data-consistency checks of the applicability table records.
+ *
+ * The rules only rely on the model built by js/applicability.js, so they run
+ * both in the browser (as a debug overlay, add "?applicability-lint" to the
+ * URL) and from Node (scripts/lint-applicability.js).
+ */
+(function (root, factory) {
+  'use strict';
+
+  // Node (build and lint scripts).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./applicability.js'));
+    return;
+  }
+
+  // Browser.
+  root.Drupal.applicability.lint = factory(root.Drupal.applicability);
+
+})(typeof window !== 'undefined' ? window : this, function (applicability) {
+  'use strict';
+
+  /**
+   * The schema every record is validated against.
+   *
+   * @type {{required: string[], optional: string[]}}
+   */
+  var SCHEMA = {
+    required: ['fraccion', 'denominacion', 'descripcion', 'aplicabilidad', 'actualizacion', 'conservacion'],
+    optional: ['observaciones']
+  };
+
+  /**
+   * Retrieves the label of a field.
+   *
+   * @param {String} key
+   *   The field key.
+   *
+   * @return {String}
+   *   The label, e.g. "Periodo de actualización".
+   */
+  var label = function (key) {
+    for (var i = 0; i < applicability.FIELDS.length; i++) {
+      if (applicability.FIELDS[i].key === key) {
+        return applicability.FIELDS[i].label;
+      }
+    }
+    return key;
+  };
+
+  /**
+   * Checks of a single record.
+   *
+   * Each rule receives the record and a report(severity, message, node)
+   * callback. Rules are keyed by the name reported along with each problem.
+   *
+   * @type {Object<string,Function>}
+   */
+  var RULES = {
+    'missing-field': function (record, report) {
+      SCHEMA.required.forEach(function (key) {
+        var present = record.fields.some(function (field) {
+          return field.key === key;
+        });
+        if (!present) {
+          report('error', 'Falta el campo "' + label(key) + '".', record.panel);
+        }
+      });
+    },
+
+    'empty-field': function (record, report) {
+      record.fields.forEach(function (field) {
+        if (field.key && SCHEMA.required.indexOf(field.key) !== -1 && !field.value) {
+          report('warning', 'El campo "' + field.label + '" está vacío.', field.location);
+        }
+      });
+    },
+
+    'duplicate-field': function (record, report) {
+      var seen = {};
+      record.fields.forEach(function (field) {
+        if (field.key && seen[field.key]) {
+          report('error', 'El campo "' + field.label + '" está duplicado.', field.location);
+        }
+        seen[field.key] = true;
+      });
+    },
+
+    'unknown-field': function (record, report) {
+      record.fields.forEach(function (field) {
+        if (!field.key) {
+          report('warning', 'Campo desconocido "' + field.label + '".', field.location);
+        }
+      });
+    },
+
+    'fraccion-numeral': function (record, report) {
+      var fraccion = record.fraccion;
+      if (!fraccion) {
+        return;
+      }
+      var numerals = fraccion.label.match(/\([^)]*\)/g) || [];
+      if (!fraccion.roman) {
+        report('error', 'La fracción "' + fraccion.label + '" no indica su número romano.', record.panel);
+      }
+      else if (fraccion.number === null) {
+        report('error', 'El número romano "' + fraccion.roman + '" de la fracción "' + fraccion.label + '" no es válido.', record.panel);
+      }
+      else if (numerals.length > 1) {
+        report('error', 'La fracción "' + fraccion.label + '" indica más de un número romano.', record.panel);
+      }
+    },
+
+    'heading-markup': function (record, report) {
+      if (!record.heading) {
+        report('error', 'La obligación no tiene encabezado h2.', record.element);
+      }
+      else if (!record.title) {
+        report('error', 'El encabezado de la obligación está vacío.', record.heading);
+      }
+      else if (/[<>]|\/h\d\b/i.test(record.heading.textContent)) {
+        // The title is parsed without the stray markup, check the source.
+        report('error', 'El encabezado "' + record.heading.textContent.trim() + '" contiene marcado roto.', record.heading);
+      }
+      else if (record.title.charAt(0) !== record.title.charAt(0).toUpperCase()) {
+        report('warning', 'El encabezado "' + record.title + '" empieza con minúscula, ¿está incompleto?', record.heading);
+      }
+    },
+
+    'toggle-target': function (record, report) {
+      if (!record.panel) {
+        report('error', 'La obligación no tiene panel desplegable.', record.element);
+        return;
+      }
+      if (!record.toggle) {
+        report('error', 'La obligación no tiene botón para desplegar su panel.', record.element);
+        return;
+      }
+      var id = record.panel.getAttribute('id');
+      if (record.toggle.getAttribute('data-bs-target') !== '#' + id) {
+        report('error', 'El botón apunta a "' + record.toggle.getAttribute('data-bs-target') + '" en lugar de "#' + id + '".', record.toggle);
+      }
+      if (record.toggle.getAttribute('aria-controls') !== id) {
+        report('error', 'El atributo aria-controls del botón es "' + record.toggle.getAttribute('aria-controls') + '" en lugar de "' + id + '".', record.toggle);
+      }
+      if (record.toggle.getAttribute('data-bs-toggle') !== 'collapse') {
+        report('error', 'El atributo data-bs-toggle del botón es "' + record.toggle.getAttribute('data-bs-toggle') + '" en lugar de "collapse".', record.toggle);
+      }
+    }
+  };
+
+  /**
+   * Checks of the whole page.
+   *
+   * Each rule receives the root element, the model and a
+   * report(severity, message, node, record) callback.
+   *
+   * @type {Object<string,Function>}
+   */
+  var PAGE_RULES = {
+    'duplicate-id': function (root, model, report) {
+      var seen = {};
+      applicability.util.findAll(root, function (el) {
+        return !!(el.getAttribute && el.getAttribute('id'));
+      }).forEach(function (el) {
+        var id = el.getAttribute('id');
+        if (seen[id]) {
+          report('error', 'El id "' + id + '" está duplicado.', el);
+        }
+        seen[id] = true;
+      });
+    },
+
+    'duplicate-fraccion': function (root, model, report) {
+      model.articles.forEach(function (article) {
+        var seen = {};
+        article.records.forEach(function (record) {
+          var roman = record.fraccion && record.fraccion.roman;
+          if (roman && seen[roman]) {
+            report('warning', 'La fracción ' + roman + ' del artículo ' + article.number + ' también se usa en "' + seen[roman].title + '".', record.panel, record);
+          }
+          seen[roman] = seen[roman] || record;
+        });
+      });
+    },
+
+    'note': function (root, model, report) {
+      model.notes.forEach(function (note) {
+        report('warning', 'El bloque "' + note.title + '" no tiene fracción, no se trata como una obligación.', note.panel || note.element, note);
+      });
+    }
+  };
+
+  /**
+   * Resolves the location of a problem.
+   *
+   * @param {Element|Object} node
+   *   The element, or a location built by the model.
+   *
+   * @return {{id: ?string, line: ?number}}
+   *   The id of the element and its line in the source, when known.
+   */
+  var locate = function (node) {
+    if (node && node.getAttribute) {
+      return {id: node.getAttribute('id') || null, line: node.line || null};
+    }
+    return node || {id: null, line: null};
+  };
+
+  /**
+   * Lints the applicability table.
+   *
+   * @param {Document|Element} root
+   *   The document, or any element containing the article accordions.
+   *
+   * @return {{model: Object, problems: Object[]}}
+   *   The parsed model and the problems found, each with its "rule",
+   *   "severity" ("error" or "warning"), "message", "location" and the
+   *   "record" it belongs to, if any.
+   */
+  var lint = function (root) {
+    var model = applicability.parse(root);
+    var problems = [];
+
+    var reporter = function (rule, record) {
+      return function (severity, message, node, other) {
+        var target = other || record;
+        problems.push({
+          rule: rule,
+          severity: severity,
+          message: message,
+          location: locate(node),
+          record: target ? (target.slug || target.id) : null
+        });
+      };
+    };
+
+    model.records.forEach(function (record) {
+      Object.keys(RULES).forEach(function (rule) {
+        RULES[rule](record, reporter(rule, record));
+      });
+    });
+    Object.keys(PAGE_RULES).forEach(function (rule) {
+      PAGE_RULES[rule](root.documentElement || root, model, reporter(rule, null));
+    });
+
+    problems.sort(function (a, b) {
+      return (a.location.line || 0) - (b.location.line || 0);
+    });
+    return {model: model, problems: problems};
+  };
+
+  return {
+    PAGE_RULES: PAGE_RULES,
+    RULES: RULES,
+    SCHEMA: SCHEMA,
+    lint: lint
+  };
+});
+
+/**
+ * Shows the problems of the applicability table in a debug overlay.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  // Immediately return outside of the browser (e.g. when required from Node).
+  if (!$ || !Drupal || !Drupal.behaviors) {
+    return;
+  }
+
+  /**
+   * Renders the debug overlay.
+   *
+   * @param {Object[]} problems
+   *   The problems returned by Drupal.applicability.lint.lint().
+   *
+   * @return {jQuery}
+   *   The overlay.
+   */
+  Drupal.theme.applicabilityLintOverlay = function (problems) {
+    var errors = $.grep(problems, function (problem) {
+      return problem.severity === 'error';
+    }).length;
+    var $overlay = $('<aside class="applicability-lint-overlay panel panel-danger"></aside>')
+      .attr('aria-label', Drupal.t('Problemas de la tabla de aplicabilidad'));
+    $('<div class="panel-heading"></div>')
+      .text(Drupal.t('@errors errores y @warnings advertencias', {'@errors': errors, '@warnings': problems.length - errors}))
+      .appendTo($overlay);
+
+    var $list = $('<ol class="list-group"></ol>').appendTo($overlay);
+    $.each(problems, function (i, problem) {
+      var $item = $('<li class="list-group-item"></li>')
+        .addClass(problem.severity === 'error' ? 'list-group-item-danger' : 'list-group-item-warning')
+        .append($('<code></code>').text(problem.rule), ' ', document.createTextNode(problem.message))
+        .appendTo($list);
+      if (problem.record) {
+        $item.append(' ', $('<a></a>').attr('href', '#' + problem.record).text(problem.record));
+      }
+    });
+    return $overlay;
+  };
+
+  /**
+   * Adds the debug overlay when "applicability-lint" is in the query string.
+   */
+  Drupal.behaviors.applicabilityLint = {
+    attach: function (context) {
+      if (!/[?&]applicability-lint\b/.test(window.location.search) || !$(context).find('#accordionExample').addBack('#accordionExample').length) {
+        return;
+      }
+
+      Bootstrap.once('applicabilityLint', function () {
+        var problems = Drupal.applicability.lint.lint(document).problems;
+
+        // Outline the obligations with problems.
+        $.each(problems, function (i, problem) {
+          var record = problem.record && Drupal.applicability.get(problem.record);
+          if (record) {
+            $(record.element)
+              .addClass(problem.severity === 'error' ? 'applicability-lint-error' : 'applicability-lint-warning')
+              .attr('title', $.trim(($(record.element).attr('title') || '') + '\n' + problem.message));
+          }
+        });
+
+        Drupal.theme('applicabilityLintOverlay', problems).appendTo('body');
+      });
+    }
+  };
+
+})(typeof window !== 'undefined' && window.jQuery, typeof window !== 'undefined' && window.Drupal, typeof window !== 'undefined' && window.Drupal && window.Drupal.bootstrap);
@@ -0,0 +1,241 @@
+/**
+ * @file
+ * Expand/collapse all controls and remembered state of the obligation panels.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * The localStorage key holding the open panels.
+   *
+   * @type {String}
+   */
+  var STORAGE_KEY = 'Drupal.applicability.panels';
+
+  /**
+   * Indicates whether a collapsible element is open.
+   *
+   * @param {Element} element
+   *   The ".collapse" element.
+   *
+   * @return {Boolean}
+   *   TRUE or FALSE
+   */
+  var isOpen = function (element) {
+    // Bootstrap 3 uses "in", Bootstrap 5 uses "show".
+    return $(element).hasClass('in') || $(element).hasClass('show');
+  };
+
+  /**
+   * Indicates whether a collapsible element is an article or an obligation.
+   *
+   * @param {Element} element
+   *   The ".collapse" element.
+   *
+   * @return {Boolean}
+   *   TRUE or FALSE
+   */
+  var isTracked = function (element) {
+    if (!element.id) {
+      return false;
+    }
+    for (var number in Drupal.applicability.ARTICLES) {
+      if (Drupal.applicability.ARTICLES.hasOwnProperty(number) && Drupal.applicability.ARTICLES[number] === element.id) {
+        return true;
+      }
+    }
+    return !!Drupal.applicability.get(element.id);
+  };
+
+  /**
+   * Retrieves the toggles of a collapsible element.
+   *
+   * @param {Element} element
+   *   The ".collapse" element.
+   *
+   * @return {jQuery}
+   *   The elements toggling it.
+   */
+  var toggles = function (element) {
+    var selector = '#' + element.id;
+    return $('[data-bs-target="' + selector + '"], [data-target="' + selector + '"], [href="' + selector + '"]').filter('[data-bs-toggle="collapse"], [data-toggle="collapse"]');
+  };
+
+  /**
+   * Reads the stored state.
+   *
+   * @return {String[]|null}
+   *   The ids of the open articles and the slugs of the open obligations, or
+   *   NULL if nothing was stored.
+   */
+  var load = function () {
+    try {
+      var state = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+      return $.isArray(state) ? state : null;
+    }
+    catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * Stores which articles and obligations are open.
+   */
+  var save = function () {
+    var state = [];
+    $.each(Drupal.applicability.articles || [], function (i, article) {
+      if (isOpen(article.element)) {
+        state.push(article.id);
+      }
+    });
+    $.each(Drupal.applicability.records || [], function (i, record) {
+      if (record.panel && isOpen(record.panel)) {
+        state.push(record.slug);
+      }
+    });
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    }
+    catch (e) {
+      // Storage may be full or disabled (e.g. private browsing).
+    }
+  };
+
+  /**
+   * Retrieves the obligation panels of an article.
+   *
+   * @param {Number} number
+   *   The article number.
+   * @param {Boolean} [visible]
+   *   Only return the obligations not hidden by the filters.
+   *
+   * @return {jQuery}
+   *   The panels.
+   */
+  var panels = function (number, visible) {
+    return $($.map(Drupal.applicability.records || [], function (record) {
+      if (record.article === number && record.panel && !(visible && $(record.element).hasClass('hidden'))) {
+        return record.panel;
+      }
+    }));
+  };
+
+  Drupal.applicability.panels = {
+    isOpen: isOpen,
+    load: load,
+    save: save,
+
+    /**
+     * Opens every visible obligation of an article.
+     *
+     * @param {Number} number
+     *   The article number.
+     */
+    expand: function (number) {
+      $('#' + Drupal.applicability.ARTICLES[number]).collapse('show');
+      panels(number, true).collapse('show');
+    },
+
+    /**
+     * Closes every obligation of an article.
+     *
+     * @param {Number} number
+     *   The article number.
+     */
+    collapse: function (number) {
+      panels(number).filter(function () {
+        return isOpen(this);
+      }).collapse('hide');
+    },
+
+    /**
+     * Opens the articles and obligations that were open on the last visit.
+     */
+    restore: function () {
+      $.each(load() || [], function (i, key) {
+        var record = Drupal.applicability.get(key);
+        var element = record ? record.panel : document.getElementById(key);
+        if (element && !isOpen(element)) {
+          $(element).collapse('show');
+        }
+      });
+    }
+  };
+
+  /**
+   * Renders the expand/collapse all controls of an article.
+   *
+   * @param {Object} article
+   *   An article from Drupal.applicability.articles.
+   *
+   * @return {jQuery}
+   *   The controls.
+   */
+  Drupal.theme.applicabilityPanelsToolbar = function (article) {
+    var controls = $.map(article.records, function (record) {
+      return record.id;
+    }).join(' ');
+
+    return $('<div class="applicability-panels-toolbar btn-group" role="group"></div>')
+      .attr('aria-label', Drupal.t('Obligaciones del artículo @number', {'@number': article.number}))
+      .append($(Drupal.theme('button', {
+        value: Drupal.checkPlain(Drupal.t('Expandir todo')),
+        context: 'outline-primary',
+        'class': ['btn-sm'],
+        'aria-controls': controls,
+        'data-applicability-panels': 'expand'
+      })))
+      .append($(Drupal.theme('button', {
+        value: Drupal.checkPlain(Drupal.t('Contraer todo')),
+        context: 'outline-primary',
+        'class': ['btn-sm'],
+        'aria-controls': controls,
+        'data-applicability-panels': 'collapse'
+      })));
+  };
+
+  /**
+   * Adds the expand/collapse all controls and remembers the open panels.
+   */
+  Drupal.behaviors.applicabilityPanels = {
+    attach: function (context) {
+      if (!Drupal.applicability.articles) {
+        return;
+      }
+
+      $.each(Drupal.applicability.articles, function (i, article) {
+        var $article = $(context).find(article.element).addBack(article.element);
+        if (!$article.length || $article.find('.applicability-panels-toolbar').length) {
+          return;
+        }
+        Drupal.theme('applicabilityPanelsToolbar', article)
+          .attr('data-applicability-article', article.number)
+          .insertAfter($article.find('.row').first());
+      });
+
+      Bootstrap.once('applicabilityPanels', function () {
+        $(document)
+          .on('click', '[data-applicability-panels]', function () {
+            var number = parseInt($(this).closest('[data-applicability-article]').attr('data-applicability-article'), 10);
+            Drupal.applicability.panels[$(this).attr('data-applicability-panels')](number);
+          })
+          .on('shown.bs.collapse hidden.bs.collapse', function (e) {
+            var shown = e.type === 'shown';
+            if (!isTracked(e.target)) {
+              return;
+            }
+            toggles(e.target)
+              .attr('aria-expanded', shown ? 'true' : 'false')
+              .toggleClass('collapsed', !shown);
+            save();
+          });
+
+        // A deep link takes precedence over the remembered state.
+        if (!window.location.hash) {
+          Drupal.applicability.panels.restore();
+        }
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
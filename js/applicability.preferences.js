@@ -0,0 +1,137 @@
+/**
+ * @file
+ * Applies the reading preferences chosen in the accessibility toolbar.
+ *
+ * Loaded in the <head>, before jQuery and Drupal, so the preferences are
+ * applied before the page is first painted. The toolbar itself is rendered
+ * by js/applicability.toolbar.js.
+ */
+(function (root, document) {
+  'use strict';
+
+  /**
+   * The localStorage key holding the preferences.
+   *
+   * @type {String}
+   */
+  var STORAGE_KEY = 'Drupal.applicability.preferences';
+
+  /**
+   * The default preferences.
+   *
+   * A NULL "motion" follows the prefers-reduced-motion setting of the system.
+   *
+   * @type {{text: Number, contrast: Boolean, spacing: Boolean, dyslexia: Boolean, motion: ?Boolean}}
+   */
+  var DEFAULTS = {
+    text: 1,
+    contrast: false,
+    spacing: false,
+    dyslexia: false,
+    motion: null
+  };
+
+  /**
+   * The classes of the html element, keyed by preference.
+   *
+   * @type {Object<String,String>}
+   */
+  var CLASSES = {
+    contrast: 'applicability-contrast',
+    spacing: 'applicability-spacing',
+    dyslexia: 'applicability-dyslexia',
+    motion: 'applicability-reduced-motion'
+  };
+
+  /**
+   * Reads the stored preferences.
+   *
+   * @return {Object}
+   *   The preferences, with the defaults for those not stored.
+   */
+  var load = function () {
+    var preferences = {};
+    var stored = null;
+    try {
+      stored = JSON.parse(root.localStorage.getItem(STORAGE_KEY));
+    }
+    catch (e) {
+      // Storage may be disabled (e.g. private browsing).
+    }
+    for (var key in DEFAULTS) {
+      if (DEFAULTS.hasOwnProperty(key)) {
+        preferences[key] = stored && stored.hasOwnProperty(key) ? stored[key] : DEFAULTS[key];
+      }
+    }
+    return preferences;
+  };
+
+  /**
+   * Stores the preferences.
+   *
+   * @param {Object} preferences
+   *   The preferences.
+   */
+  var save = function (preferences) {
+    try {
+      root.localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+    }
+    catch (e) {
+      // Storage may be full or disabled (e.g. private browsing).
+    }
+  };
+
+  /**
+   * Indicates whether animations have to be avoided.
+   *
+   * @param {Object} preferences
+   *   The preferences.
+   *
+   * @return {Boolean}
+   *   TRUE if the reader chose reduced motion, or left it to the system and
+   *   the system asks for it.
+   */
+  var reducedMotion = function (preferences) {
+    if (preferences.motion === null || preferences.motion === void 0) {
+      return !!(root.matchMedia && root.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+    return !!preferences.motion;
+  };
+
+  /**
+   * Applies the preferences to the html element.
+   *
+   * @param {Object} preferences
+   *   The preferences.
+   */
+  var apply = function (preferences) {
+    var element = document.documentElement;
+    for (var key in CLASSES) {
+      if (CLASSES.hasOwnProperty(key)) {
+        element.classList.toggle(CLASSES[key], key === 'motion' ? reducedMotion(preferences) : !!preferences[key]);
+      }
+    }
+
+    var scaled = preferences.text > 1;
+    element.classList.toggle('applicability-text-scaled', scaled);
+    if (scaled) {
+      element.style.setProperty('--applicability-text-scale', String(preferences.text));
+    }
+    else {
+      element.style.removeProperty('--applicability-text-scale');
+    }
+  };
+
+  // Picked up as Drupal.applicability.preferences by the toolbar.
+  root.applicabilityPreferences = {
+    DEFAULTS: DEFAULTS,
+    STORAGE_KEY: STORAGE_KEY,
+    apply: apply,
+    load: load,
+    reducedMotion: reducedMotion,
+    save: save
+  };
+
+  apply(load());
+
+})(window, document);
@@ -0,0 +1,219 @@
+/**
+ * @file
+ * Print and PDF friendly rendering of the applicability table.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * Retrieves the URLs linked from a field of a record.
+   *
+   * @param {Object} record
+   *   The record.
+   * @param {String} key
+   *   The field key.
+   *
+   * @return {String[]}
+   *   The absolute URLs, in order of appearance.
+   */
+  var links = function (record, key) {
+    var urls = [];
+    $(record.panel).find('.row.border-bottom').each(function () {
+      var $cells = $(this).children();
+      if (Drupal.applicability.fieldKey($cells.first().text()) !== key) {
+        return;
+      }
+      $cells.eq(1).find('a[href]').each(function () {
+        if (/^https?:/.test(this.href) && $.inArray(this.href, urls) === -1) {
+          urls.push(this.href);
+        }
+      });
+      // Only the first occurrence of a field populates the record.
+      return false;
+    });
+    return urls;
+  };
+
+  /**
+   * Retrieves the value of a field of a record.
+   *
+   * @param {Object} record
+   *   The record.
+   * @param {String} key
+   *   The field key.
+   *
+   * @return {String}
+   *   The value.
+   */
+  var value = function (record, key) {
+    if (key === 'fraccion') {
+      return record.fraccion ? record.fraccion.label : '';
+    }
+    return key === 'denominacion' ? record.denominacion || record.title : record[key] || '';
+  };
+
+  /**
+   * Renders the table of contents.
+   *
+   * @param {Object[]} articles
+   *   The articles, each with the records to print.
+   *
+   * @return {jQuery}
+   *   The table of contents.
+   */
+  Drupal.theme.applicabilityPrintToc = function (articles) {
+    var $toc = $('<nav class="applicability-print-toc"></nav>')
+      .append($('<h2></h2>').text(Drupal.t('Contenido')));
+    var $list = $('<ol></ol>').appendTo($toc);
+    $.each(articles, function (i, article) {
+      var $records = $('<ol></ol>');
+      $.each(article.records, function (j, record) {
+        $('<li></li>')
+          .text((record.fraccion && record.fraccion.roman ? record.fraccion.roman + '. ' : '') + record.title)
+          .appendTo($records);
+      });
+      $('<li></li>')
+        .append($('<a></a>').attr('href', '#applicability-print-' + article.number).text(article.title))
+        .append(' ', $('<small></small>').text(Drupal.formatPlural(article.records.length, '1 obligación', '@count obligaciones')))
+        .append($records)
+        .appendTo($list);
+    });
+    return $toc;
+  };
+
+  /**
+   * Renders the table of an article.
+   *
+   * Link URLs are collected as numbered footnotes, since they can't be
+   * followed on paper.
+   *
+   * @param {Object} article
+   *   The article, with the records to print.
+   * @param {String[]} notes
+   *   The footnotes, shared by all the articles so numbers are unique.
+   *
+   * @return {jQuery}
+   *   The section of the article.
+   */
+  Drupal.theme.applicabilityPrintArticle = function (article, notes) {
+    var first = notes.length;
+    var $section = $('<section class="applicability-print-article"></section>')
+      .attr('id', 'applicability-print-' + article.number)
+      .append($('<h2></h2>').text(article.title));
+    if (article.description) {
+      $('<p></p>').text(article.description).appendTo($section);
+    }
+
+    var $table = $('<table class="table table-bordered table-condensed"></table>').appendTo($section);
+    var $row = $('<tr></tr>').appendTo($('<thead></thead>').appendTo($table));
+    $.each(Drupal.applicability.FIELDS, function (i, field) {
+      $('<th scope="col"></th>').text(field.label).appendTo($row);
+    });
+
+    var $body = $('<tbody></tbody>').appendTo($table);
+    $.each(article.records, function (i, record) {
+      var $tr = $('<tr></tr>').appendTo($body);
+      $.each(Drupal.applicability.FIELDS, function (j, field) {
+        var $cell = $(j ? '<td></td>' : '<th scope="row"></th>').text(value(record, field.key)).appendTo($tr);
+        $.each(links(record, field.key), function (k, url) {
+          notes.push(url);
+          $cell.append(' ', $('<sup class="applicability-print-ref"></sup>').text('[' + notes.length + ']'));
+        });
+      });
+    });
+
+    if (notes.length > first) {
+      var $notes = $('<ol class="applicability-print-notes"></ol>').attr('start', first + 1);
+      $.each(notes.slice(first), function (i, url) {
+        $('<li></li>').text(url).appendTo($notes);
+      });
+      $section.append($('<h3></h3>').text(Drupal.t('Enlaces')), $notes);
+    }
+
+    return $section;
+  };
+
+  Drupal.applicability.print = {
+
+    /**
+     * Renders the printable version of the table.
+     *
+     * Every obligation not hidden by the filters is printed, whether its
+     * panel is open or not. The links are read from the panels, so those
+     * still waiting to be rendered on demand are rendered first.
+     *
+     * @return {jQuery}
+     *   The printable version, inserted before the accordions.
+     */
+    render: function () {
+      var notes = [];
+      if (Drupal.applicability.lazy) {
+        Drupal.applicability.lazy.renderAll();
+      }
+      var articles = $.map(Drupal.applicability.articles || [], function (article) {
+        var records = $.grep(article.records, function (record) {
+          return !$(record.element).hasClass('hidden');
+        });
+        return records.length ? $.extend({}, article, {records: records}) : null;
+      });
+
+      this.remove();
+      var $print = $('<div class="applicability-print" aria-hidden="true"></div>')
+        .append($('<h1></h1>').text(document.title))
+        .append(Drupal.theme('applicabilityPrintToc', articles));
+      $.each(articles, function (i, article) {
+        $print.append(Drupal.theme('applicabilityPrintArticle', article, notes));
+      });
+      return $print.insertBefore('#accordionExample');
+    },
+
+    /**
+     * Removes the printable version of the table.
+     */
+    remove: function () {
+      $('.applicability-print').remove();
+    }
+  };
+
+  /**
+   * Renders the printable version of the table when the page is printed.
+   */
+  Drupal.behaviors.applicabilityPrint = {
+    attach: function (context) {
+      var $accordion = $(context).find('#accordionExample').addBack('#accordionExample');
+      if (!$accordion.length || !Drupal.applicability.records) {
+        return;
+      }
+
+      Bootstrap.once('applicabilityPrint', function () {
+        var before = function () {
+          Drupal.applicability.print.render();
+        };
+        var after = function () {
+          Drupal.applicability.print.remove();
+        };
+
+        if ('onbeforeprint' in window) {
+          $(window).on('beforeprint', before).on('afterprint', after);
+        }
+        else if (window.matchMedia) {
+          window.matchMedia('print').addListener(function (media) {
+            (media.matches ? before : after)();
+          });
+        }
+
+        $('<div class="applicability-print-wrapper"></div>')
+          .append(Drupal.theme('button', {
+            value: Drupal.checkPlain(Drupal.t('Imprimir o guardar como PDF')),
+            context: 'default',
+            'class': ['applicability-print-button']
+          }))
+          .on('click', '.applicability-print-button', function () {
+            window.print();
+          })
+          .insertBefore($accordion);
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
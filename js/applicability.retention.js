@@ -0,0 +1,222 @@
+/**
+ * @file
+ * Retention calculator based on "Periodo de conservación de la información".
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * Evaluates a retention rule against the date of a document.
+   *
+   * @param {Object} rule
+   *   A rule returned by Drupal.applicability.parseRetention().
+   * @param {Date} date
+   *   The date of the document.
+   * @param {Object} options
+   *   - today: (Date) The reference date.
+   *   - vigente: (Boolean) Whether the information is still in force, if
+   *     known.
+   *
+   * @return {{publish: ?boolean, until: ?Date, pending: boolean}}
+   *   Whether the document must still be published (NULL when it can't be
+   *   told), the last day it must be, if any, and whether its conservation
+   *   period has not started yet (e.g. a document of the current fiscal year
+   *   when only the concluded ones are kept). Only the documents older than
+   *   the period are no longer published.
+   */
+  var evaluate = function (rule, date, options) {
+    var today = options.today;
+    var year = date.getFullYear();
+
+    switch (rule.type) {
+      case 'permanente':
+        return {publish: true, until: null, pending: false};
+
+      case 'vigente':
+        return {publish: typeof options.vigente === 'boolean' ? options.vigente : null, until: null, pending: false};
+
+      case 'ejercicios':
+        // The period covers the current fiscal year, if kept, and the previous
+        // ones: a document enters it the year it is dated or the year after,
+        // and leaves it once "previous" years have passed since its own.
+        var first = today.getFullYear() - rule.previous;
+        var last = rule.current ? today.getFullYear() : today.getFullYear() - 1;
+        var enters = rule.current ? year : year + 1;
+        var span = rule.previous + (rule.current ? 1 : 0);
+        return {
+          publish: year >= first,
+          until: new Date(enters + span - 1, 11, 31),
+          pending: year > last
+        };
+
+      case 'semestres':
+        var semester = function (d) {
+          return d.getFullYear() * 2 + (d.getMonth() < 6 ? 0 : 1);
+        };
+        var end = semester(date) + rule.previous;
+        return {
+          publish: semester(date) >= semester(today) - rule.previous,
+          until: new Date(Math.floor(end / 2), end % 2 ? 12 : 6, 0),
+          pending: semester(date) > semester(today)
+        };
+    }
+
+    return {publish: null, until: null, pending: false};
+  };
+
+  /**
+   * Tells whether a document of an obligation must still be published.
+   *
+   * When the conservation period has several rules (e.g. one per kind of
+   * information) the most permissive one wins.
+   *
+   * @param {Object} record
+   *   The record.
+   * @param {Date} date
+   *   The date of the document.
+   * @param {Object} [options]
+   *   - today: (Date) The reference date, defaults to today.
+   *   - vigente: (Boolean) Whether the information is still in force, if
+   *     known.
+   *
+   * @return {{publish: ?boolean, until: ?Date, pending: boolean, rules: Object[]}}
+   *   Whether the document must still be published (NULL when it can't be
+   *   told), the last day it must be (NULL if undetermined), whether the
+   *   conservation periods keeping it have not started yet, and the rules with
+   *   their individual result.
+   */
+  var check = function (record, date, options) {
+    options = $.extend({today: new Date()}, options);
+    var result = {publish: false, until: null, pending: false, rules: []};
+    var started = false;
+    var unknown = false;
+    var indefinite = false;
+
+    $.each(Drupal.applicability.parseRetention(record.conservacion), function (i, rule) {
+      var outcome = evaluate(rule, date, options);
+      result.rules.push($.extend({}, rule, outcome));
+      if (outcome.publish === true) {
+        result.publish = true;
+        started = started || !outcome.pending;
+        indefinite = indefinite || !outcome.until;
+        if (outcome.until && (!result.until || outcome.until > result.until)) {
+          result.until = outcome.until;
+        }
+      }
+      unknown = unknown || outcome.publish === null;
+    });
+
+    if (!result.rules.length || !result.publish && unknown) {
+      result.publish = null;
+    }
+    if (indefinite) {
+      result.until = null;
+    }
+    result.pending = result.publish === true && !started;
+    return result;
+  };
+
+  Drupal.applicability.retention = {
+    check: check,
+    evaluate: evaluate
+  };
+
+  /**
+   * Renders the result of the retention calculator.
+   *
+   * @param {Object} result
+   *   The result of Drupal.applicability.retention.check().
+   * @param {Object} record
+   *   The record.
+   *
+   * @return {jQuery}
+   *   The result.
+   */
+  Drupal.theme.applicabilityRetentionResult = function (result, record) {
+    var $result = $('<div class="applicability-retention-result"></div>');
+    var message;
+    if (result.publish === true) {
+      message = result.until ? Drupal.t('La información debe seguir publicada hasta el @date.', {'@date': result.until.toLocaleDateString('es-MX')}) : Drupal.t('La información debe seguir publicada.');
+      if (result.pending) {
+        message += ' ' + Drupal.t('Su periodo de conservación aún no comienza.');
+      }
+    }
+    else if (result.publish === false) {
+      message = Drupal.t('La información ya no debe publicarse y puede trasladarse al archivo histórico.');
+    }
+    else if (!result.rules.length) {
+      message = Drupal.t('La obligación no señala un periodo de conservación.');
+    }
+    else {
+      message = Drupal.t('No es posible determinarlo con la fecha del documento, revise el periodo de conservación.');
+    }
+
+    $result.append($('<p class="lead"></p>').text(message));
+    $('<p></p>')
+      .append($('<strong></strong>').text(Drupal.t('Periodo de conservación:')), ' ', document.createTextNode(record.conservacion || '—'))
+      .appendTo($result);
+    return $result;
+  };
+
+  /**
+   * Adds the retention calculator above the applicability table.
+   */
+  Drupal.behaviors.applicabilityRetention = {
+    attach: function (context) {
+      var $accordion = $(context).find('#accordionExample').addBack('#accordionExample');
+      if (!$accordion.length || !Drupal.applicability.articles) {
+        return;
+      }
+
+      Bootstrap.once('applicabilityRetention', function () {
+        var $select = $('<select id="applicability-retention-record" class="form-control" name="record" required></select>')
+          .append($('<option value=""></option>').text(Drupal.t('- Seleccione -')));
+        $.each(Drupal.applicability.articles, function (i, article) {
+          var $group = $('<optgroup></optgroup>').attr('label', Drupal.t('Artículo @number', {'@number': article.number})).appendTo($select);
+          $.each(article.records, function (j, record) {
+            var fraccion = record.fraccion && (record.fraccion.roman || record.fraccion.label);
+            $('<option></option>')
+              .attr('value', record.id)
+              .text((fraccion ? fraccion + '. ' : '') + record.title)
+              .appendTo($group);
+          });
+        });
+
+        var $output = $('<div role="status" aria-live="polite"></div>');
+        var $form = $('<form class="applicability-retention-form"></form>')
+          .append($('<div class="form-group"></div>').append($('<label for="applicability-retention-record"></label>').text(Drupal.t('Fracción')), $select))
+          .append($('<div class="form-group"></div>').append(
+            $('<label for="applicability-retention-date"></label>').text(Drupal.t('Fecha del documento')),
+            $('<input type="date" id="applicability-retention-date" class="form-control" name="date" required>')
+          ))
+          .append($('<div class="form-group"></div>').append(
+            $('<label for="applicability-retention-vigente"></label>').text(Drupal.t('¿La información sigue vigente?')),
+            $('<select id="applicability-retention-vigente" class="form-control" name="vigente"></select>').append(
+              $('<option value=""></option>').text(Drupal.t('No se sabe')),
+              $('<option value="1"></option>').text(Drupal.t('Sí')),
+              $('<option value="0"></option>').text(Drupal.t('No'))
+            )
+          ))
+          .append(Drupal.theme('button', {value: Drupal.checkPlain(Drupal.t('Calcular')), type: 'submit', context: 'primary'}))
+          .on('submit', function (e) {
+            var record = Drupal.applicability.get($select.val());
+            var parts = ($(this).find('[name="date"]').val() || '').split('-');
+            e.preventDefault();
+            if (!record || parts.length !== 3) {
+              return;
+            }
+            var date = new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10));
+            var vigente = $(this).find('[name="vigente"]').val();
+            var result = check(record, date, vigente ? {vigente: vigente === '1'} : {});
+            $output.empty().append(Drupal.theme('applicabilityRetentionResult', result, record));
+          });
+
+        $('<details class="applicability-retention"></details>')
+          .append($('<summary></summary>').text(Drupal.t('Calculadora de conservación')))
+          .append($form, $output)
+          .insertBefore($accordion);
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
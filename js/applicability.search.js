@@ -0,0 +1,424 @@
+/**
+ * @file
+ * In-page search across the applicability table obligations.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * Weight of a match in each indexed field.
+   *
+   * @type {Object<string,number>}
+   */
+  var WEIGHTS = {
+    title: 3,
+    descripcion: 2,
+    observaciones: 1
+  };
+
+  /**
+   * Normalizes a string for searching.
+   *
+   * @param {String} str
+   *   The string to normalize.
+   *
+   * @return {String}
+   *   The string, lower-cased and without diacritics.
+   */
+  var normalize = function (str) {
+    return Drupal.applicability.normalize(str);
+  };
+
+  /**
+   * Splits a query into normalized terms.
+   *
+   * @param {String} query
+   *   The query entered by the user.
+   *
+   * @return {String[]}
+   *   The unique terms.
+   */
+  var terms = function (query) {
+    var list = [];
+    $.each(normalize(query).split(/[^a-z0-9]+/), function (i, term) {
+      if (term.length > 1 && $.inArray(term, list) === -1) {
+        list.push(term);
+      }
+    });
+    return list;
+  };
+
+  /**
+   * Builds the search index out of the parsed records.
+   *
+   * @return {Object[]}
+   *   One entry per record, holding the normalized text of each field.
+   */
+  var buildIndex = function () {
+    return $.map(Drupal.applicability.records || [], function (record) {
+      var entry = {record: record, fields: {}};
+      for (var field in WEIGHTS) {
+        if (WEIGHTS.hasOwnProperty(field)) {
+          entry.fields[field] = normalize(record[field]);
+        }
+      }
+      return entry;
+    });
+  };
+
+  /**
+   * Searches the records.
+   *
+   * Every term must be found in at least one indexed field. Records are ranked
+   * by the weight of the fields containing each term, with a bonus when the
+   * whole query appears as is.
+   *
+   * @param {String} query
+   *   The query entered by the user.
+   *
+   * @return {Array<{record: Object, score: number}>}
+   *   The matching records, best match first.
+   */
+  var search = function (query) {
+    var list = terms(query);
+    var phrase = normalize(query);
+    var results = [];
+    if (!list.length) {
+      return results;
+    }
+
+    $.each(Drupal.applicability.search.index || (Drupal.applicability.search.index = buildIndex()), function (position, entry) {
+      var score = 0;
+      for (var i = 0; i < list.length; i++) {
+        var termScore = 0;
+        for (var field in entry.fields) {
+          if (entry.fields.hasOwnProperty(field) && entry.fields[field].indexOf(list[i]) !== -1) {
+            termScore += WEIGHTS[field];
+          }
+        }
+        if (!termScore) {
+          return;
+        }
+        score += termScore;
+      }
+      for (var name in entry.fields) {
+        if (entry.fields.hasOwnProperty(name) && list.length > 1 && entry.fields[name].indexOf(phrase) !== -1) {
+          score += WEIGHTS[name] * list.length;
+        }
+      }
+      results.push({record: entry.record, score: score, position: position});
+    });
+
+    return results.sort(function (a, b) {
+      return b.score - a.score || a.position - b.position;
+    });
+  };
+
+  /**
+   * Wraps the terms found in the text nodes of an element with <mark>.
+   *
+   * Matching is done on the normalized text, so "tramites" highlights
+   * "Trámites"; each normalized character is mapped back to its position in
+   * the original text node.
+   *
+   * @param {Element} element
+   *   The element to highlight.
+   * @param {String[]} list
+   *   The normalized terms.
+   */
+  var highlight = function (element, list) {
+    var walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+    var nodes = [];
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+    }
+
+    $.each(nodes, function (i, node) {
+      var text = node.nodeValue;
+      var normalized = '';
+      var map = [];
+      for (var c = 0; c < text.length; c++) {
+        var chr = normalize(text.charAt(c)) || (/\s/.test(text.charAt(c)) ? ' ' : '');
+        for (var n = 0; n < chr.length; n++) {
+          normalized += chr.charAt(n);
+          map.push(c);
+        }
+      }
+
+      // Collect non-overlapping ranges in the original text.
+      var ranges = [];
+      $.each(list, function (j, term) {
+        var index = normalized.indexOf(term);
+        while (index !== -1) {
+          ranges.push([map[index], map[index + term.length - 1] + 1]);
+          index = normalized.indexOf(term, index + term.length);
+        }
+      });
+      if (!ranges.length) {
+        return;
+      }
+      ranges.sort(function (a, b) {
+        return a[0] - b[0];
+      });
+
+      var fragment = document.createDocumentFragment();
+      var last = 0;
+      $.each(ranges, function (j, range) {
+        if (range[0] < last) return;
+        fragment.appendChild(document.createTextNode(text.slice(last, range[0])));
+        $('<mark class="applicability-search-hit"></mark>').text(text.slice(range[0], range[1])).appendTo(fragment);
+        last = range[1];
+      });
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+      node.parentNode.replaceChild(fragment, node);
+    });
+  };
+
+  /**
+   * Removes all highlights.
+   */
+  var unhighlight = function () {
+    $('mark.applicability-search-hit').each(function () {
+      var parent = this.parentNode;
+      parent.replaceChild(document.createTextNode(this.textContent), this);
+      parent.normalize();
+    });
+  };
+
+  /**
+   * Returns the elements of a record that are highlighted.
+   *
+   * @param {Object} record
+   *   The record.
+   *
+   * @return {jQuery}
+   *   The heading and the "Descripción" and "Observaciones" value cells.
+   */
+  var highlightTargets = function (record) {
+    var $cells = $(record.panel).find('.row.border-bottom').filter(function () {
+      var key = Drupal.applicability.fieldKey($(this).children().first().text());
+      return key === 'descripcion' || key === 'observaciones';
+    }).children(':nth-child(2)');
+    return $(record.heading).add($cells);
+  };
+
+  Drupal.applicability.search = {
+    highlight: highlight,
+    index: null,
+    search: search,
+    terms: terms,
+    unhighlight: unhighlight,
+
+    /**
+     * Indicates whether the in-page search can be used on this page.
+     *
+     * @return {Boolean}
+     *   TRUE or FALSE
+     */
+    available: function () {
+      return !!(Drupal.applicability.records && Drupal.applicability.records.length);
+    },
+
+    /**
+     * Searches the page, highlights and expands the matching obligations.
+     *
+     * @param {String} query
+     *   The query entered by the user.
+     *
+     * @return {Array<{record: Object, score: number}>}
+     *   The matching records, best match first.
+     */
+    run: function (query) {
+      var results = search(query);
+      var list = terms(query);
+
+      unhighlight();
+      $.each(results, function (i, result) {
+        // Lazy panels are rendered first, so their rows are highlighted too.
+        if (Drupal.applicability.lazy) {
+          Drupal.applicability.lazy.render(result.record.panel);
+        }
+        highlightTargets(result.record).each(function () {
+          highlight(this, list);
+        });
+        $(result.record.panel).collapse('show');
+      });
+
+      // Open the article of the best match, as the articles share one parent
+      // only one can be open: the results list the others by article.
+      if (results.length) {
+        $('#' + Drupal.applicability.ARTICLES[results[0].record.article]).collapse('show');
+      }
+
+      $(document).trigger('searched.applicability', [results, query]);
+      return results;
+    },
+
+    /**
+     * Searches the whole site instead of the current page.
+     *
+     * @param {String} query
+     *   The query entered by the user.
+     */
+    global: function (query) {
+      $(document).trigger($.Event('search.scjn', {query: query, global: true}));
+    }
+  };
+
+  /**
+   * Groups search results by article.
+   *
+   * @param {Array<{record: Object, score: number}>} results
+   *   The results, best match first.
+   *
+   * @return {Array<{article: string, results: Array}>}
+   *   One group per article, in the order of their best match.
+   */
+  var groupByArticle = function (results) {
+    var groups = [];
+    var byArticle = {};
+    $.each(results, function (i, result) {
+      var article = result.record.article;
+      if (!byArticle.hasOwnProperty(article)) {
+        groups.push(byArticle[article] = {article: article, results: []});
+      }
+      byArticle[article].results.push(result);
+    });
+    return groups;
+  };
+
+  /**
+   * Renders the list of search results.
+   *
+   * Results are grouped by article, each group with a button opening its
+   * article and every matching obligation in it.
+   *
+   * @param {Array<{record: Object, score: number}>} results
+   *   The results.
+   * @param {String} query
+   *   The query entered by the user.
+   *
+   * @return {jQuery}
+   *   The rendered list.
+   */
+  Drupal.theme.applicabilitySearchResults = function (results, query) {
+    var $wrapper = $('<div class="applicability-search-results"></div>');
+    $('<p role="status" aria-live="polite"></p>')
+      .text(Drupal.formatPlural(results.length, '1 obligación coincide con «@query»', '@count obligaciones coinciden con «@query»', {'@query': query}))
+      .appendTo($wrapper);
+
+    var $groups = $('<ol class="list-unstyled"></ol>').appendTo($wrapper);
+    $.each(groupByArticle(results), function (i, group) {
+      var label = Drupal.t('Artículo @article', {'@article': group.article});
+      var $list = $('<ol class="list-unstyled"></ol>');
+      $.each(group.results, function (j, result) {
+        var record = result.record;
+        var $item = $('<li></li>')
+          .append($('<a></a>').attr('href', '#' + record.slug).attr('data-applicability-record', record.id).text(record.title))
+          .appendTo($list);
+        if (record.fraccion) {
+          $item.append(' ', $('<small class="text-muted"></small>').text(Drupal.t('fracción @fraccion', {'@fraccion': record.fraccion.roman || record.fraccion.label})));
+        }
+      });
+      $('<li></li>')
+        .append($('<strong></strong>').text(label))
+        .append(' ', $('<button type="button" class="btn btn-link applicability-search-article"></button>')
+          .text(Drupal.formatPlural(group.results.length, 'Mostrar 1 coincidencia', 'Mostrar @count coincidencias'))
+          .attr('aria-label', Drupal.formatPlural(group.results.length, 'Mostrar 1 coincidencia en el @article', 'Mostrar @count coincidencias en el @article', {'@article': label}))
+          .attr('data-applicability-article', group.article))
+        .append($list)
+        .appendTo($groups);
+    });
+
+    $('<button type="button" class="btn btn-link applicability-search-global"></button>')
+      .text(Drupal.t('Buscar «@query» en todo el sitio', {'@query': query}))
+      .attr('data-query', query)
+      .appendTo($wrapper);
+
+    return $wrapper;
+  };
+
+  /**
+   * Adds the in-page search field and handles the header search.
+   */
+  Drupal.behaviors.applicabilitySearch = {
+    attach: function (context) {
+      var $accordion = $(context).find('#accordionExample').addBack('#accordionExample');
+      if (!$accordion.length || !Drupal.applicability.search.available()) {
+        return;
+      }
+
+      // Records may have been parsed again, rebuild the index on next search.
+      Drupal.applicability.search.index = null;
+
+      Bootstrap.once('applicabilitySearch', function () {
+        var $results = $('<div class="applicability-search"></div>');
+        var $form = $('<form class="applicability-search-form form-inline" role="search"></form>')
+          .attr('aria-label', Drupal.t('Buscar en la tabla de aplicabilidad'))
+          .append($('<label for="applicability-search-input"></label>').text(Drupal.t('Buscar obligación')))
+          .append(' ', $('<input type="search" id="applicability-search-input" class="form-control" name="q">'))
+          .append(' ', Drupal.theme('button', {value: Drupal.checkPlain(Drupal.t('Buscar')), type: 'submit', context: 'primary'}));
+
+        var show = function (query) {
+          $form.find('input[name="q"]').val(query);
+          $results.empty();
+          if (!$.trim(query)) {
+            unhighlight();
+            return;
+          }
+          var results = Drupal.applicability.search.run(query);
+          $results.append(Drupal.theme('applicabilitySearchResults', results, query));
+        };
+
+        $form.on('submit', function (e) {
+          e.preventDefault();
+          show($(this).find('input[name="q"]').val());
+        });
+
+        $results
+          .on('click', '[data-applicability-record]', function (e) {
+            var record = Drupal.applicability.get($(this).attr('data-applicability-record'));
+            e.preventDefault();
+            // The list may be stale, e.g. once the table is rendered again.
+            if (!record) {
+              return;
+            }
+            $('#' + Drupal.applicability.ARTICLES[record.article]).collapse('show');
+            $(record.panel).collapse('show');
+            $(record.heading).attr('tabindex', '-1').focus();
+          })
+          .on('click', '[data-applicability-article]', function () {
+            var records = $(this).closest('li').find('[data-applicability-record]').map(function () {
+              return Drupal.applicability.get($(this).attr('data-applicability-record'));
+            }).get();
+            if (!records.length) {
+              return;
+            }
+            $('#' + Drupal.applicability.ARTICLES[$(this).attr('data-applicability-article')]).collapse('show');
+            $.each(records, function (i, record) {
+              $(record.panel).collapse('show');
+            });
+            $(records[0].heading).attr('tabindex', '-1').focus();
+          })
+          .on('click', '.applicability-search-global', function () {
+            Drupal.applicability.search.global($(this).attr('data-query'));
+          });
+
+        // Keep the header search on this page unless the user asks otherwise.
+        $(document).on('search.scjn', function (e) {
+          if (!e.global) {
+            e.preventDefault();
+            show(e.query);
+            $('html, body').animate({scrollTop: $form.offset().top}, 250);
+          }
+        });
+
+        var $wrapper = $accordion.prevAll('.applicability-filters-wrapper').first();
+        $('<div class="applicability-search-wrapper"></div>')
+          .append($form, $results)
+          [$wrapper.length ? 'insertAfter' : 'insertBefore']($wrapper.length ? $wrapper : $accordion);
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
@@ -0,0 +1,204 @@
+/**
+ * @file
+ * Markup of the applicability table panels.
+ *
+ * Shared by scripts/build-applicability.js, which renders the accordions, and
+ * js/applicability.lazy.js, which renders the panels on demand, so both
+ * produce the same rows as the hand-written index.html.
+ */
+(function (root, factory) {
+  'use strict';
+
+  // Node (build scripts).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./applicability.js'), require('./file-types.js'), require('./url-filter.js'));
+    return;
+  }
+
+  // Browser.
+  root.Drupal.applicability.templates = factory(root.Drupal.applicability, root.Drupal.fileTypes, root.Drupal.urlFilter);
+
+})(typeof window !== 'undefined' ? window : this, function (applicability, fileTypes, urlFilter) {
+  'use strict';
+
+  /**
+   * Escapes a string for use in text or in a double-quoted attribute.
+   *
+   * @param {String} str
+   *   The string to escape.
+   *
+   * @return {String}
+   *   The escaped string.
+   */
+  var escape = function (str) {
+    return String(str === null || str === void 0 ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  };
+
+  /**
+   * Indents lines of markup.
+   *
+   * @param {String[]} lines
+   *   The lines.
+   * @param {Number} depth
+   *   The number of spaces to prepend.
+   *
+   * @return {String[]}
+   *   The indented lines.
+   */
+  var indent = function (lines, depth) {
+    var pad = new Array(depth + 1).join(' ');
+    return lines.map(function (line) {
+      return pad + line;
+    });
+  };
+
+  /**
+   * Indicates whether a link points to a document.
+   *
+   * @param {String} href
+   *   The link.
+   *
+   * @return {Boolean}
+   *   TRUE if the link ends in the extension of a registered file type, see
+   *   js/file-types.js.
+   */
+  var isFile = function (href) {
+    return fileTypes.exists(fileTypes.extension(href));
+  };
+
+  /**
+   * Retrieves the value of a field of a record.
+   *
+   * @param {Object} record
+   *   The record.
+   * @param {String} key
+   *   The field key.
+   *
+   * @return {String}
+   *   The value, '' if missing.
+   */
+  var value = function (record, key) {
+    var data = record[key];
+    if (data && typeof data === 'object') {
+      data = data.label;
+    }
+    return data === null || data === void 0 ? '' : String(data);
+  };
+
+  /**
+   * Lists the rows of a record.
+   *
+   * Records extracted from a page (or downloaded as JSON) keep their rows in
+   * "fields", so unlabelled or repeated rows survive a round trip. Otherwise
+   * one row per known field with a value is rendered, in the FIELDS order.
+   *
+   * @param {Object} record
+   *   The record.
+   *
+   * @return {Array<{key: ?string, label: string, value: string}>}
+   *   The rows.
+   */
+  var rows = function (record) {
+    if (Array.isArray(record.fields) && record.fields.length) {
+      return record.fields.map(function (field) {
+        return {key: field.key || applicability.fieldKey(field.label || ''), label: field.label || '', value: field.value || ''};
+      });
+    }
+    return applicability.FIELDS.filter(function (field) {
+      return !!value(record, field.key);
+    }).map(function (field) {
+      return {key: field.key, label: field.label, value: value(record, field.key)};
+    });
+  };
+
+  /**
+   * Renders the value of the "Denominación de la información" row.
+   *
+   * @param {String} name
+   *   The name of the information.
+   * @param {?String} link
+   *   Where the information is published, if anywhere. Its scheme is filtered
+   *   by js/url-filter.js, as it may come from the payload.
+   *
+   * @return {String[]}
+   *   The lines.
+   */
+  var denominacion = function (name, link) {
+    if (!link) {
+      return ['<p>' + escape(name), '</p>'];
+    }
+    link = urlFilter.sanitize(link);
+    if (isFile(link)) {
+      // The icon and the label of the file type, as in Drupal.theme.fileLink().
+      var type = fileTypes.lookup(link);
+      return [
+        '<div class="media accesibillity"><a aria-label="' + escape('Se abrirá el ' + type.label + ' correspondiente a ' + name + ' en una ventana nueva') + '" href="' + escape(link) + '" target="_blank"><div class="media-left ' + escape(type.color) + '"><em class="icons-vdos ' + escape(type.icon) + '">&nbsp;</em></div><div class="media-body">' + escape(name) + '</div></a>',
+        '</div>'
+      ];
+    }
+    return [
+      '<div class="text-Left"><a class="d-inline-block" data-bs-placement="bottom" data-bs-target="_window" data-bs-toggle="tooltip" data-original-title="" href="' + escape(link) + '" target="_blank" title=""><span class="d-table-cell align-middle pr-3 icon"><span class="d-table-cell align-Left text">' + escape(name) + '</span> </span> </a>',
+      '</div>'
+    ];
+  };
+
+  /**
+   * Renders a row of a record panel.
+   *
+   * @param {{key: ?string, label: string, value: string}} row
+   *   The row.
+   * @param {?String} link
+   *   The link of the record, if any.
+   *
+   * @return {String[]}
+   *   The lines.
+   */
+  var row = function (row, link) {
+    var label = row.label ? '<strong class="text-primary">' + escape(row.label) + '</strong>' : '';
+    return [
+      '<div class="row border-bottom bg-light text-dark">',
+      '  <div class="col-6 col-md-2">' + label,
+      '  </div>',
+      '  <div class="col-6 col-md-10">'
+    ].concat(
+      indent(row.key === 'denominacion' ? denominacion(row.value, link) : ['<p>' + escape(row.value), '</p>'], 4),
+      ['  </div>', '</div>']
+    );
+  };
+
+  /**
+   * Renders the body of a record panel.
+   *
+   * @param {Object} record
+   *   The record, or an entry of the payload ("fields" and "link").
+   *
+   * @return {String[]}
+   *   The lines.
+   */
+  var body = function (record) {
+    var lines = [];
+    rows(record).forEach(function (data) {
+      lines = lines.concat(row(data, record.link));
+    });
+
+    return [
+      '<div class="card card-body border border-white">',
+      '  <div class="container-fluid">'
+    ].concat(indent(lines, 4), [
+      '  </div>',
+      '</div>'
+    ]);
+  };
+
+  return {
+    body: body,
+    escape: escape,
+    indent: indent,
+    isFile: isFile,
+    rows: rows
+  };
+});
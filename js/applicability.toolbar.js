@@ -0,0 +1,215 @@
+/**
+ * @file
+ * Accessibility toolbar: text size, contrast, spacing, font and motion.
+ *
+ * The preferences are stored locally and applied to the html element by
+ * js/applicability.preferences.js, loaded in the <head> so they are in place
+ * before the page is first painted. This adds the toolbar changing them,
+ * passes the motion preference to Bootstrap.reducedMotion.set(), and turns
+ * the Bootstrap transitions and the carousel autoplay off while reduced
+ * motion is on.
+ */
+(function ($, Drupal, Bootstrap, preferences) {
+  'use strict';
+
+  // Immediately return if the preferences script isn't loaded in the <head>.
+  if (!preferences) {
+    return;
+  }
+
+  // The stored choice applies from the start, before carousels are attached.
+  Bootstrap.reducedMotion.set(preferences.load().motion);
+
+  /**
+   * The text scales offered, from the default one.
+   *
+   * @type {Number[]}
+   */
+  var STEPS = [1, 1.15, 1.3, 1.5, 1.75, 2];
+
+  /**
+   * Whether the browser supports CSS transitions, as detected by Bootstrap.
+   *
+   * @type {Object|Boolean|undefined}
+   */
+  var transition;
+
+  /**
+   * Whether reduced motion was last applied, NULL before it first is.
+   *
+   * @type {?Boolean}
+   */
+  var reduced = null;
+
+  /**
+   * Retrieves the position of a text scale in STEPS.
+   *
+   * @param {Number} scale
+   *   The text scale.
+   *
+   * @return {Number}
+   *   The index of the closest step.
+   */
+  var step = function (scale) {
+    var index = 0;
+    for (var i = 1; i < STEPS.length; i++) {
+      if (Math.abs(STEPS[i] - scale) < Math.abs(STEPS[index] - scale)) {
+        index = i;
+      }
+    }
+    return index;
+  };
+
+  /**
+   * Turns the transitions and the carousel autoplay off or on.
+   *
+   * @param {Object} current
+   *   The preferences.
+   */
+  var motion = function (current) {
+    Bootstrap.reducedMotion.set(current.motion);
+    var reduce = preferences.reducedMotion(current);
+    var initial = reduced === null;
+    if (reduce === reduced) {
+      return;
+    }
+    reduced = reduce;
+
+    if (transition === void 0) {
+      transition = $.support.transition;
+    }
+    // Bootstrap only waits for the end of a transition if it's supported.
+    $.support.transition = reduce ? false : transition;
+
+    // Carousels are left alone on load, unless they have to stop.
+    if (reduce || !initial) {
+      Bootstrap.autoplay($('.carousel'), !reduce);
+    }
+  };
+
+  /**
+   * Reflects the preferences in the toolbar.
+   *
+   * @param {Object} current
+   *   The preferences.
+   */
+  var state = function (current) {
+    var index = step(current.text);
+    $('.applicability-toolbar [aria-pressed]').each(function () {
+      var key = $(this).attr('data-applicability-toolbar');
+      $(this).attr('aria-pressed', (key === 'motion' ? preferences.reducedMotion(current) : !!current[key]) ? 'true' : 'false');
+    });
+    $('.applicability-toolbar [data-applicability-toolbar="smaller"]').prop('disabled', index === 0);
+    $('.applicability-toolbar [data-applicability-toolbar="larger"]').prop('disabled', index === STEPS.length - 1);
+  };
+
+  Drupal.applicability.preferences = $.extend({}, preferences, {
+    STEPS: STEPS,
+
+    /**
+     * Changes, stores and applies preferences.
+     *
+     * @param {Object} changes
+     *   The preferences to change.
+     *
+     * @return {Object}
+     *   All the preferences.
+     */
+    update: function (changes) {
+      var current = $.extend(preferences.load(), changes);
+      preferences.save(current);
+      preferences.apply(current);
+      motion(current);
+      state(current);
+      return current;
+    }
+  });
+
+  /**
+   * Renders the accessibility toolbar.
+   *
+   * @param {Object} current
+   *   The preferences.
+   *
+   * @return {jQuery}
+   *   The toolbar.
+   */
+  Drupal.theme.applicabilityToolbar = function (current) {
+    var button = function (action, label, attributes) {
+      return $(Drupal.theme('button', $.extend({
+        value: Drupal.checkPlain(label),
+        context: 'default',
+        'class': ['btn-sm'],
+        'data-applicability-toolbar': action
+      }, attributes)));
+    };
+
+    var $text = $('<div class="btn-group" role="group"></div>')
+      .attr('aria-label', Drupal.t('Tamaño del texto'))
+      .append(
+        button('smaller', 'A-', {'aria-label': Drupal.t('Reducir el texto')}),
+        button('larger', 'A+', {'aria-label': Drupal.t('Aumentar el texto')})
+      );
+
+    var $toggles = $('<div class="btn-group" role="group"></div>')
+      .attr('aria-label', Drupal.t('Presentación'))
+      .append(
+        button('contrast', Drupal.t('Alto contraste'), {'aria-pressed': 'false'}),
+        button('spacing', Drupal.t('Más espaciado'), {'aria-pressed': 'false'}),
+        button('dyslexia', Drupal.t('Fuente para dislexia'), {'aria-pressed': 'false'}),
+        button('motion', Drupal.t('Reducir movimiento'), {'aria-pressed': 'false'})
+      );
+
+    return $('<div class="applicability-toolbar btn-toolbar" role="toolbar"></div>')
+      .attr('aria-label', Drupal.t('Opciones de accesibilidad'))
+      .append($text, $toggles, button('reset', Drupal.t('Restablecer')));
+  };
+
+  /**
+   * Adds the accessibility toolbar to the page.
+   */
+  Drupal.behaviors.applicabilityToolbar = {
+    attach: function (context) {
+      if (!$(context).find('body').addBack('body').length) {
+        return;
+      }
+
+      Bootstrap.once('applicabilityToolbar', function () {
+        var current = preferences.load();
+
+        Drupal.theme('applicabilityToolbar', current).prependTo('body');
+        state(current);
+        motion(current);
+
+        $(document).on('click', '.applicability-toolbar [data-applicability-toolbar]', function () {
+          var action = $(this).attr('data-applicability-toolbar');
+          var current = preferences.load();
+          var index = step(current.text);
+
+          if (action === 'smaller' || action === 'larger') {
+            index = Math.max(0, Math.min(STEPS.length - 1, index + (action === 'larger' ? 1 : -1)));
+            Drupal.applicability.preferences.update({text: STEPS[index]});
+            Bootstrap.announce(Drupal.t('Tamaño del texto: @percent %', {'@percent': Math.round(STEPS[index] * 100)}));
+          }
+          else if (action === 'reset') {
+            Drupal.applicability.preferences.update($.extend({}, preferences.DEFAULTS));
+            Bootstrap.announce(Drupal.t('Opciones de accesibilidad restablecidas'));
+          }
+          else {
+            var changes = {};
+            changes[action] = $(this).attr('aria-pressed') !== 'true';
+            Drupal.applicability.preferences.update(changes);
+          }
+        });
+
+        // Carousels with data-ride="carousel" start cycling once loaded.
+        $(window).on('load', function () {
+          if (reduced) {
+            Bootstrap.autoplay($('.carousel'), false);
+          }
+        });
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap, window.applicabilityPreferences);
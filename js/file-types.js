@@ -0,0 +1,178 @@
+/**
+ * @file
+ * Registry of the file types linked from the site.
+ *
+ * Icons, colors and accessible labels of file links are all looked up here,
+ * so a new type only has to be registered once. The registry has no
+ * dependencies, so the build scripts require it from Node and render the
+ * same icons as the theme hooks.
+ */
+(function (root, factory) {
+  'use strict';
+
+  var api = factory();
+
+  // Node (build scripts).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  // Browser.
+  root.Drupal = root.Drupal || {};
+  root.Drupal.fileTypes = api;
+
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /**
+   * Registered file types, keyed by extension.
+   *
+   * @type {Object<string,Object>}
+   */
+  var types = {};
+
+  /**
+   * The file type of unknown extensions.
+   *
+   * @type {{color: string, icon: string, label: string, mime: string, note: ?string}}
+   */
+  var fallback = {
+    color: 'list-icons',
+    icon: 'icon-pdf',
+    label: 'Archivo',
+    mime: 'application/octet-stream',
+    note: null
+  };
+
+  /**
+   * Copies the properties of objects into a new one.
+   *
+   * @param {...Object} objects
+   *   The objects, later ones overriding earlier ones.
+   *
+   * @return {Object}
+   *   The new object.
+   */
+  var extend = function () {
+    var result = {};
+    for (var i = 0; i < arguments.length; i++) {
+      for (var key in arguments[i]) {
+        if (arguments[i].hasOwnProperty(key)) {
+          result[key] = arguments[i][key];
+        }
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Extracts the extension of a file path or URL.
+   *
+   * @param {String} path
+   *   The path or URL, e.g. "/files/informe.PDF?itok=1#page=2".
+   *
+   * @return {String}
+   *   The lower-cased extension, e.g. "pdf", or an empty string.
+   */
+  var extension = function (path) {
+    var name = String(path || '').replace(/[?#].*$/, '');
+    name = name.substr(name.lastIndexOf('/') + 1);
+    return name.lastIndexOf('.') > 0 ? name.substr(name.lastIndexOf('.') + 1).toLowerCase() : '';
+  };
+
+  /**
+   * @namespace
+   */
+  var fileTypes = {
+    extension: extension,
+    fallback: fallback,
+
+    /**
+     * Indicates whether a file type is registered.
+     *
+     * @param {String} ext
+     *   The extension.
+     *
+     * @return {Boolean}
+     *   TRUE or FALSE
+     */
+    exists: function (ext) {
+      return types.hasOwnProperty(String(ext || '').toLowerCase());
+    },
+
+    /**
+     * Registers a file type, or overrides a registered one.
+     *
+     * @param {String|String[]} ext
+     *   The extension, or extensions sharing the definition.
+     * @param {Object} definition
+     *   - color: (String) The class of the icon container.
+     *   - icon: (String) The class of the icon.
+     *   - label: (String) The accessible name of the type, e.g. "Archivo Pdf".
+     *   - mime: (String) The MIME type.
+     *   - note: (String) The id of the element describing how to open the
+     *     files, if any.
+     *
+     * @return {Object}
+     *   Drupal.fileTypes, for chaining.
+     */
+    register: function (ext, definition) {
+      var names = Object.prototype.toString.call(ext) === '[object Array]' ? ext : [ext];
+      for (var i = 0; i < names.length; i++) {
+        var name = String(names[i]).replace(/^\./, '').toLowerCase();
+        types[name] = extend(fallback, definition, {extension: name});
+      }
+      return this;
+    },
+
+    /**
+     * Retrieves a file type.
+     *
+     * @param {String} ext
+     *   The extension.
+     *
+     * @return {Object}
+     *   The file type, or the fallback with the given extension if unknown.
+     */
+    get: function (ext) {
+      ext = String(ext || '').toLowerCase();
+      return types.hasOwnProperty(ext) ? types[ext] : extend(fallback, {extension: ext});
+    },
+
+    /**
+     * Retrieves the file type of a file path or URL.
+     *
+     * @param {String} path
+     *   The path or URL.
+     *
+     * @return {Object}
+     *   The file type.
+     */
+    lookup: function (path) {
+      return this.get(extension(path));
+    }
+  };
+
+  fileTypes
+    .register('pdf', {color: 'list-icons', icon: 'icon-pdf', label: 'Archivo Pdf', mime: 'application/pdf'})
+    .register('doc', {color: 'word-icons', icon: 'icon-doc-word', label: 'Archivo Word', mime: 'application/msword', note: 'nota_word'})
+    .register('docx', {color: 'word-icons', icon: 'icon-doc-word', label: 'Archivo Word', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', note: 'nota_word'})
+    .register('rtf', {color: 'word-icons', icon: 'icon-doc-word', label: 'Archivo Rtf', mime: 'application/rtf'})
+    .register('odt', {color: 'word-icons', icon: 'icon-doc-word', label: 'Archivo OpenDocument de texto', mime: 'application/vnd.oasis.opendocument.text'})
+    .register('xls', {color: 'excel-icons', icon: 'icon-excel', label: 'Archivo Excel', mime: 'application/vnd.ms-excel', note: 'nota_excel'})
+    .register('xlsx', {color: 'excel-icons', icon: 'icon-excel', label: 'Archivo Excel', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', note: 'nota_excel'})
+    .register('ods', {color: 'excel-icons', icon: 'icon-excel', label: 'Archivo OpenDocument de hoja de cálculo', mime: 'application/vnd.oasis.opendocument.spreadsheet'})
+    .register('csv', {color: 'excel-icons', icon: 'icon-excel', label: 'Archivo Csv', mime: 'text/csv'})
+    .register('ppt', {color: 'list-icons', icon: 'icon-ppt', label: 'Archivo PowerPoint', mime: 'application/vnd.ms-powerpoint'})
+    .register('pptx', {color: 'list-icons', icon: 'icon-ppt', label: 'Archivo PowerPoint', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'})
+    .register('xml', {color: 'list-blue-icons', icon: 'icon-base-datos', label: 'Archivo Xml', mime: 'application/xml'})
+    .register('json', {color: 'list-blue-icons', icon: 'icon-base-datos', label: 'Archivo Json', mime: 'application/json'})
+    .register('avi', {color: 'list-blue-icons', icon: 'icon-videos', label: 'Archivo Avi', mime: 'video/x-msvideo', note: 'nota_video_avi'})
+    .register('mp4', {color: 'list-blue-icons', icon: 'icon-videos', label: 'Archivo Mp4', mime: 'video/mp4', note: 'nota_video'})
+    .register('mp3', {color: 'list-blue-icons', icon: 'icon-audio', label: 'Archivo Mp3', mime: 'audio/mpeg'})
+    .register('rar', {color: 'list-blue-icons', icon: 'icon-zip', label: 'Archivo Rar', mime: 'application/vnd.rar'})
+    .register('zip', {color: 'list-blue-icons', icon: 'icon-zip', label: 'Archivo Zip', mime: 'application/zip', note: 'nota_zip'});
+
+  return fileTypes;
+});
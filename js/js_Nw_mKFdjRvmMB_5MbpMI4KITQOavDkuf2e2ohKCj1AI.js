@@ -22,6 +22,102 @@
     settings: drupalSettings.bootstrap || {}
   };
 
+  /**
+   * The live regions of Bootstrap.announce(), keyed by priority.
+   *
+   * Each one keeps the messages waiting to be read, and the last message read
+   * with the time it was, to skip repeated messages and throttle updates.
+   *
+   * @type {Object<String,Object>}
+   */
+  Bootstrap.liveRegions = {
+    polite: {element: null, queue: [], text: '', time: 0, timer: null},
+    assertive: {element: null, queue: [], text: '', time: 0, timer: null}
+  };
+
+  /**
+   * Announces a message to screen readers.
+   *
+   * Like Drupal.announce(), which the theme doesn't load. A region is updated
+   * at most every 500 milliseconds: a pending polite message is replaced by a
+   * newer one, while assertive messages are read together. A message equal to
+   * the one just read, or to one waiting, is skipped.
+   *
+   * @param {String} text
+   *   The message, already translated.
+   * @param {String} [priority]
+   *   "polite" (default) or "assertive".
+   */
+  Bootstrap.announce = function (text, priority) {
+    priority = priority === 'assertive' ? 'assertive' : 'polite';
+    text = $.trim(text || '');
+    var region = Bootstrap.liveRegions[priority];
+    var now = $.now();
+
+    if (!text || $.inArray(text, region.queue) !== -1 || (text === region.text && now - region.time < 1000)) {
+      return;
+    }
+
+    if (priority === 'assertive') {
+      region.queue.push(text);
+    }
+    else {
+      region.queue = [text];
+    }
+
+    if (!region.timer) {
+      region.timer = window.setTimeout(function () {
+        if (!region.element) {
+          region.element = $('<div class="sr-only" aria-atomic="true"></div>')
+            .attr({
+              id: 'drupal-bootstrap-announce-' + priority,
+              role: priority === 'assertive' ? 'alert' : 'status',
+              'aria-live': priority
+            })
+            .appendTo('body')[0];
+        }
+        region.text = region.queue.join(' ');
+        region.time = $.now();
+        region.queue = [];
+        region.timer = null;
+        $(region.element).text(region.text);
+      }, Math.max(0, region.time + 500 - now));
+    }
+  };
+
+  /**
+   * Turns the autoplay of Bootstrap carousels off or back on.
+   *
+   * Pausing a carousel isn't enough, as hovering or focusing it cycles it
+   * again; its interval is set to FALSE instead, and kept in the
+   * "bootstrap.interval" data to be restored.
+   *
+   * @param {HTMLElement|jQuery} carousel
+   *   The carousel(s), already initialized.
+   * @param {Boolean} enabled
+   *   Whether the carousel cycles on its own.
+   * @param {Number} [interval]
+   *   The interval to cycle at, defaults to the one of the carousel.
+   */
+  Bootstrap.autoplay = function (carousel, enabled, interval) {
+    $(carousel).each(function () {
+      var $carousel = $(this);
+      var data = $carousel.data('bs.carousel');
+      if (!data) {
+        return;
+      }
+      var delay = interval || data.options.interval || $carousel.data('bootstrap.interval');
+      if (delay) {
+        $carousel.data('bootstrap.interval', delay);
+      }
+      data.pause();
+      data.options.interval = enabled && delay || false;
+      if (data.options.interval) {
+        data.cycle();
+      }
+    });
+  };
+
   /**
    * Wraps Drupal.checkPlain() to ensure value passed isn't empty.
    *
@@ -39,6 +135,36 @@
     return str && Drupal.checkPlain(str) || '';
   };
 
+  /**
+   * Filters a URL so it can't run script when followed.
+   *
+   * Only relative URLs and the http, https, mailto and tel schemes are kept.
+   * The value still has to be escaped, e.g. by Attributes, to be output.
+   *
+   * @param {string} url
+   *   The URL to filter.
+   *
+   * @return {string}
+   *   The URL, or "#" if its scheme isn't allowed.
+   *
+   * @ingroup sanitization
+   */
+  Bootstrap.sanitizeUrl = function (url) {
+    url = $.trim(url === null || url === void 0 ? '' : String(url));
+    // Character references are decoded in case the URL ends up in markup
+    // unescaped, and browsers ignore control characters and whitespace within
+    // the scheme.
+    var decoded = url.replace(/&(#x[0-9a-f]+|#\d+|colon|tab|newline);?/gi, function (match, entity) {
+      entity = entity.toLowerCase();
+      if (entity.charAt(0) !== '#') {
+        return {colon: ':', tab: '\t', newline: '\n'}[entity];
+      }
+      return String.fromCharCode(entity.charAt(1) === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    });
+    var scheme = /^([^\/?#]*?):/.exec(decoded.replace(/[\u0000-\u0020]/g, ''));
+    return scheme && !/^(https?|mailto|tel)$/i.test(scheme[1]) ? '#' : url;
+  };
+
   /**
    * Creates a jQuery plugin.
    *
@@ -169,6 +295,134 @@
     return false;
   };
 
+  /**
+   * Hands out unique element ids.
+   *
+   * Ids are unique among the ones handed out and the ones already in the
+   * document. An id built from a key (e.g. the id of a related element) is the
+   * same on every page load, unless it is taken.
+   *
+   * @type {Object}
+   */
+  Bootstrap.ids = {
+    counters: {},
+    issued: {},
+
+    /**
+     * Indicates whether an id is taken.
+     *
+     * @param {String} id
+     *   The id.
+     *
+     * @return {Boolean}
+     *   TRUE if it was handed out or an element of the document has it.
+     */
+    exists: function (id) {
+      return !!this.issued[id] || !!document.getElementById(id);
+    },
+
+    /**
+     * Generates an id.
+     *
+     * @param {String} [prefix]
+     *   The prefix of the id, defaults to "ui-id".
+     * @param {String} [key]
+     *   A key to build the id from, e.g. "ui-tooltip-{key}". If omitted, or
+     *   the id is taken, a number is appended instead.
+     *
+     * @return {String}
+     *   The id, reserved.
+     */
+    generate: function (prefix, key) {
+      prefix = prefix || 'ui-id';
+      var base = key !== void 0 && key !== null && key !== '' ? prefix + '-' + String(key).replace(/[^\w-]+/g, '-') : '';
+      var id = base;
+      var count = 1;
+      while (!id || this.exists(id)) {
+        if (base) {
+          id = base + '-' + (++count);
+        }
+        else {
+          this.counters[prefix] = (this.counters[prefix] || 0) + 1;
+          id = prefix + '-' + this.counters[prefix];
+        }
+      }
+      this.issued[id] = true;
+      return id;
+    },
+
+    /**
+     * Ensures an element has an id.
+     *
+     * @param {Element|jQuery} element
+     *   The element.
+     * @param {String} [prefix]
+     *   The prefix of the id to generate, see Bootstrap.ids.generate().
+     * @param {String} [key]
+     *   The key of the id to generate, see Bootstrap.ids.generate().
+     *
+     * @return {String}
+     *   The id of the element.
+     */
+    ensure: function (element, prefix, key) {
+      var $element = $(element);
+      var id = $element.attr('id');
+      if (id) {
+        if ($(document).find('[id="' + id.replace(/["\\]/g, '\\$&') + '"]').length > 1) {
+          Bootstrap.warn('The id @id is used by more than one element.', {'@id': id});
+        }
+        return id;
+      }
+      id = this.generate(prefix, key);
+      $element.attr('id', id);
+      return id;
+    },
+
+    /**
+     * Adds an id to an attribute holding a list of ids.
+     *
+     * @param {Element|jQuery} element
+     *   The element.
+     * @param {String} attribute
+     *   The attribute, e.g. "aria-describedby".
+     * @param {String} id
+     *   The id to add.
+     */
+    reference: function (element, attribute, id) {
+      var $element = $(element);
+      var ids = $.trim($element.attr(attribute) || '').split(/\s+/);
+      if ($.inArray(id, ids) === -1) {
+        ids.push(id);
+      }
+      $element.attr(attribute, $.trim(ids.join(' ')));
+    },
+
+    /**
+     * Removes an id from an attribute holding a list of ids.
+     *
+     * The attribute is removed once it holds no ids.
+     *
+     * @param {Element|jQuery} element
+     *   The element.
+     * @param {String} attribute
+     *   The attribute, e.g. "aria-describedby".
+     * @param {String} id
+     *   The id to remove.
+     */
+    dereference: function (element, attribute, id) {
+      var $element = $(element);
+      var ids = $.grep($.trim($element.attr(attribute) || '').split(/\s+/), function (value) {
+        return value && value !== id;
+      });
+      if (ids.length) {
+        $element.attr(attribute, ids.join(' '));
+      }
+      else {
+        $element.removeAttr(attribute);
+      }
+    }
+  };
+
   /**
    * Intersects object properties.
    *
@@ -317,6 +571,37 @@
     }
   };
 
+  /**
+   * Indicates whether animations have to be avoided.
+   *
+   * @return {Boolean}
+   *   The choice passed to Bootstrap.reducedMotion.set(), or, if there is
+   *   none, whether the system asks for reduced motion.
+   */
+  Bootstrap.reducedMotion = function () {
+    if (Bootstrap.reducedMotion.chosen !== null) {
+      return Bootstrap.reducedMotion.chosen;
+    }
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  };
+
+  /**
+   * The choice of the reader, NULL to follow the system.
+   *
+   * @type {?Boolean}
+   */
+  Bootstrap.reducedMotion.chosen = null;
+
+  /**
+   * Overrides the reduced motion setting of the system.
+   *
+   * @param {?Boolean} reduce
+   *   Whether animations have to be avoided, NULL to follow the system again.
+   */
+  Bootstrap.reducedMotion.set = function (reduce) {
+    Bootstrap.reducedMotion.chosen = reduce === null || reduce === void 0 ? null : !!reduce;
+  };
+
   /**
    * Creates a handler that relays to another event name.
    *
@@ -387,6 +672,191 @@
     $.fn[id] = plugin;
   };
 
+  /**
+   * Watches the scroll position of the page for the sticky elements.
+   *
+   * Components watch thresholds, in pixels from the top of the page, and are
+   * called back once when the page scrolls past one and once when it scrolls
+   * back above it. Thresholds are observed with an IntersectionObserver on a
+   * sentinel element placed at their offset, or, if it isn't supported, by a
+   * single passive scroll listener reading the position once per animation
+   * frame, which is removed once no watcher needs it anymore. Callbacks are
+   * meant to write to the DOM only (e.g. toggle classes), so the layout is
+   * never read and written in turns.
+   *
+   * @type {Object}
+   */
+  Bootstrap.scroll = {
+    direction: null,
+    frame: null,
+    listeners: 0,
+    listening: false,
+    observer: null,
+    position: 0,
+    schedule: null,
+    watchers: [],
+
+    /**
+     * Watches a threshold.
+     *
+     * @param {Object} options
+     *   The options of the watcher:
+     *   - threshold: The offset from the top of the page, in pixels.
+     *   - enter: Called when the page scrolls past the threshold.
+     *   - leave: Called when the page scrolls back above the threshold.
+     *   - scroll: (optional) Called on every animation frame the page scrolls
+     *     in, with the direction ("up" or "down") and the position.
+     *   Callbacks are called with the watcher as "this"; its "inside" property
+     *   tells whether the page is past the threshold.
+     *
+     * @return {Object}
+     *   The watcher, to pass to Bootstrap.scroll.unwatch().
+     */
+    watch: function (options) {
+      var scroll = this;
+      var watcher = $.extend({enter: $.noop, leave: $.noop, scroll: null}, options, {
+        inside: null,
+        listens: false,
+        sentinel: null
+      });
+      watcher.threshold = Math.max(0, parseInt(watcher.threshold, 10) || 0);
+      this.watchers.push(watcher);
+
+      if (window.IntersectionObserver) {
+        if (!this.observer) {
+          this.observer = new window.IntersectionObserver(function (entries) {
+            $.each(entries, function (i, entry) {
+              $.each(scroll.watchers, function (j, watcher) {
+                // The sentinel is above the viewport once the page is past it.
+                if (watcher.sentinel === entry.target) {
+                  scroll.notify(watcher, !entry.isIntersecting && entry.boundingClientRect.top < 0);
+                }
+              });
+            });
+          });
+        }
+        watcher.sentinel = $('<div class="bootstrap-scroll-sentinel" aria-hidden="true"></div>')
+          .css({position: 'absolute', top: watcher.threshold, left: 0, width: 1, height: 1, visibility: 'hidden', pointerEvents: 'none'})
+          .appendTo('body')[0];
+        this.observer.observe(watcher.sentinel);
+      }
+
+      if (!watcher.sentinel || watcher.scroll) {
+        watcher.listens = true;
+        this.listeners++;
+        this.listen();
+        this.update();
+      }
+      return watcher;
+    },
+
+    /**
+     * Stops watching a threshold.
+     *
+     * @param {Object} watcher
+     *   The watcher returned by Bootstrap.scroll.watch().
+     */
+    unwatch: function (watcher) {
+      this.watchers = $.grep(this.watchers, function (value) {
+        return value !== watcher;
+      });
+      if (watcher.sentinel) {
+        this.observer.unobserve(watcher.sentinel);
+        $(watcher.sentinel).remove();
+        watcher.sentinel = null;
+      }
+      if (watcher.listens) {
+        watcher.listens = false;
+        if (!--this.listeners) {
+          this.unlisten();
+        }
+      }
+    },
+
+    /**
+     * Adds the scroll listener, once.
+     */
+    listen: function () {
+      var scroll = this;
+      if (this.listening) {
+        return;
+      }
+      this.listening = true;
+
+      this.schedule = function () {
+        if (scroll.frame === null) {
+          scroll.frame = window.requestAnimationFrame ? window.requestAnimationFrame(function () {
+            scroll.update();
+          }) : window.setTimeout(function () {
+            scroll.update();
+          }, 16);
+        }
+      };
+      window.addEventListener('scroll', this.schedule, {passive: true});
+      window.addEventListener('resize', this.schedule);
+    },
+
+    /**
+     * Removes the scroll listener and cancels the pending update.
+     */
+    unlisten: function () {
+      if (!this.listening) {
+        return;
+      }
+      this.listening = false;
+
+      window.removeEventListener('scroll', this.schedule);
+      window.removeEventListener('resize', this.schedule);
+      this.schedule = null;
+      if (this.frame !== null) {
+        if (window.requestAnimationFrame) {
+          window.cancelAnimationFrame(this.frame);
+        }
+        else {
+          window.clearTimeout(this.frame);
+        }
+        this.frame = null;
+      }
+    },
+
+    /**
+     * Calls a watcher back if the page went past or above its threshold.
+     *
+     * @param {Object} watcher
+     *   The watcher.
+     * @param {Boolean} inside
+     *   Whether the page is past the threshold.
+     */
+    notify: function (watcher, inside) {
+      if (watcher.inside !== inside) {
+        watcher.inside = inside;
+        (inside ? watcher.enter : watcher.leave).call(watcher);
+      }
+    },
+
+    /**
+     * Reads the scroll position and calls the watchers back.
+     */
+    update: function () {
+      var scroll = this;
+      var position = window.pageYOffset || document.documentElement.scrollTop || 0;
+      this.frame = null;
+      if (position !== this.position) {
+        this.direction = position > this.position ? 'down' : 'up';
+        this.position = position;
+      }
+
+      $.each(this.watchers.slice(), function (i, watcher) {
+        if (!watcher.sentinel) {
+          scroll.notify(watcher, position > watcher.threshold);
+        }
+        if (watcher.scroll) {
+          watcher.scroll.call(watcher, scroll.direction, position);
+        }
+      });
+    }
+  };
+
   /**
    * Simulates a native event on an element in the browser.
    *
@@ -506,11 +976,137 @@
     else if (html instanceof Element) {
       html = html.innerHTML;
     }
-    var tmp = document.createElement('DIV');
+    // Parsed in an inert document, so handlers like "onerror" never run.
+    var tmp = document.implementation.createHTMLDocument('').createElement('DIV');
     tmp.innerHTML = html;
     return (tmp.textContent || tmp.innerText || '').replace(/^[\s\n\t]*|[\s\n\t]*$/, '');
   };
 
+  /**
+   * The default policy of Bootstrap.sanitizeHtml(): formatting and links.
+   *
+   * Allowed attributes are keyed by tag name, "*" lists those allowed on every
+   * tag. Names can be strings or regular expressions. Sites may alter it, it
+   * has the same format as the "whiteList" option of the tooltips.
+   *
+   * @type {Object<string,Array<string|RegExp>>}
+   */
+  Bootstrap.htmlPolicy = {
+    '*': ['class', 'dir', 'lang', 'role', 'title', /^aria-[\w-]*$/i],
+    a: ['href', 'rel', 'target'],
+    abbr: [],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: [],
+    div: [],
+    em: [],
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    hr: [],
+    i: [],
+    li: [],
+    ol: [],
+    p: [],
+    pre: [],
+    small: [],
+    span: [],
+    strong: [],
+    sub: [],
+    sup: [],
+    u: [],
+    ul: []
+  };
+
+  /**
+   * Filters HTML against an allowlist.
+   *
+   * Elements that are not allowed are replaced by their (filtered) content,
+   * except those whose content is not meant to be displayed (e.g. script or
+   * style), which are removed. Attributes that are not allowed are removed
+   * and URLs are filtered by Bootstrap.sanitizeUrl().
+   *
+   * @param {String|Element|jQuery} html
+   *   A string of HTML content, an Element DOM object or a jQuery object.
+   * @param {Object<string,Array<string|RegExp>>} [policy]
+   *   The allowed tags and attributes, defaults to Bootstrap.htmlPolicy.
+   *
+   * @return {String}
+   *   The filtered HTML.
+   *
+   * @ingroup sanitization
+   */
+  Bootstrap.sanitizeHtml = function (html, policy) {
+    if (html instanceof $) {
+      html = html.html();
+    }
+    else if (html instanceof Element) {
+      html = html.innerHTML;
+    }
+    if (html === null || html === void 0 || html === '') {
+      return '';
+    }
+    policy = policy || Bootstrap.htmlPolicy;
+
+    var allowed = function (tag, name) {
+      var list = (policy['*'] || []).concat(policy[tag] || []);
+      for (var i = 0; i < list.length; i++) {
+        if (list[i] instanceof RegExp ? list[i].test(name) : list[i] === name) {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    var filter = function (node) {
+      $.each($.makeArray(node.childNodes), function (i, child) {
+        // Keep text, drop comments and processing instructions.
+        if (child.nodeType !== 1) {
+          if (child.nodeType !== 3) {
+            node.removeChild(child);
+          }
+          return;
+        }
+
+        var tag = child.nodeName.toLowerCase();
+        if (!policy.hasOwnProperty(tag) || tag === '*') {
+          if (!/^(script|style|template|iframe|frame|frameset|object|embed|noscript|noembed|textarea|select|title|svg|math)$/.test(tag)) {
+            filter(child);
+            while (child.firstChild) {
+              node.insertBefore(child.firstChild, child);
+            }
+          }
+          node.removeChild(child);
+          return;
+        }
+
+        $.each($.makeArray(child.attributes), function (j, attribute) {
+          var name = attribute.name.toLowerCase();
+          if (!allowed(tag, name)) {
+            child.removeAttribute(attribute.name);
+          }
+          else if (/^(href|src|action|formaction|xlink:href)$/.test(name)) {
+            child.setAttribute(attribute.name, Bootstrap.sanitizeUrl(attribute.value));
+          }
+        });
+        if (tag === 'a' && child.getAttribute('target')) {
+          child.setAttribute('rel', 'noopener noreferrer');
+        }
+        filter(child);
+      });
+    };
+
+    // Parsed in an inert document, so nothing loads or runs meanwhile.
+    var root = document.implementation.createHTMLDocument('').createElement('div');
+    root.innerHTML = String(html);
+    filter(root);
+    return root.innerHTML;
+  };
+
   /**
    * Provide a helper method for displaying when something is unsupported.
    *
@@ -1155,6 +1751,98 @@
      */
     bootstrapIcon: function (name, attributes) {
       return Drupal.theme('icon', 'bootstrap', name, attributes);
+    },
+
+    /**
+     * Renders an element.
+     *
+     * Attribute values are escaped by Attributes, and "href" and "src" are
+     * filtered by Bootstrap.sanitizeUrl(). Text content is escaped too; only
+     * the output of other theme hooks should be passed as markup.
+     *
+     * @param {string} tag
+     *   The tag name.
+     * @param {object|Attributes} [attributes]
+     *   An object of attributes to apply to the element.
+     * @param {string|{markup: string}|Array} [content]
+     *   The content: text, trusted markup ({markup: '...'}) or a list of them.
+     *
+     * @returns {string}
+     */
+    element: function (tag, attributes, content) {
+      if (!/^[a-z][a-z0-9-]*$/i.test(tag)) {
+        Bootstrap.fatal('Invalid element tag name: @tag', {'@tag': tag});
+        return '';
+      }
+      attributes = Attributes.create(attributes);
+      if (!attributes.getClasses().length) {
+        attributes.remove('class');
+      }
+      $.each(['href', 'src'], function (i, name) {
+        if (attributes.exists(name)) {
+          attributes.set(name, Bootstrap.sanitizeUrl(attributes.get(name)));
+        }
+      });
+
+      var output = '';
+      $.each($.isArray(content) ? content : [content], function (i, item) {
+        if (item && typeof item === 'object' && 'markup' in item) {
+          output += item.markup;
+        }
+        else if (item !== null && item !== void 0) {
+          output += Drupal.checkPlain(String(item));
+        }
+      });
+      return '<' + tag + attributes + '>' + output + '</' + tag + '>';
+    },
+
+    /**
+     * Renders the icon of a file type.
+     *
+     * @param {Object} type
+     *   A file type, see Drupal.fileTypes.
+     * @param {object|Attributes} [attributes]
+     *   An object of attributes to apply to the icon container.
+     *
+     * @returns {string}
+     */
+    fileIcon: function (type, attributes) {
+      return Drupal.theme('element', 'div', Attributes.create(attributes).addClass(['media-left', type.color]), {
+        markup: Drupal.theme('element', 'em', {'class': ['icons-vdos', type.icon]}, {markup: '&nbsp;'})
+      });
+    },
+
+    /**
+     * Renders a link to a file, with the icon of its type.
+     *
+     * @param {string} path
+     *   The path or URL of the file.
+     * @param {string} text
+     *   What the file is about, read by screen readers.
+     * @param {string} [extension]
+     *   The extension of the file, taken from the path by default.
+     *
+     * @returns {string}
+     */
+    fileLink: function (path, text, extension) {
+      var type = Drupal.fileTypes.get(extension === void 0 ? Drupal.fileTypes.extension(path) : extension);
+      return Drupal.theme('element', 'a', {
+        href: path,
+        'aria-label': 'Se abrirá el ' + type.label + ' correspondiente a ' + (text || '') + ' en una ventana nueva',
+        'class': 'scjn-icon-file'
+      }, {markup: Drupal.theme('fileIcon', type)});
+    },
+
+    /**
+     * Renders the block holding the errors of a form element.
+     *
+     * @param {object|Attributes} [attributes]
+     *   An object of attributes to apply to the block.
+     *
+     * @returns {string}
+     */
+    helpBlock: function (attributes) {
+      return Drupal.theme('element', 'div', Attributes.create(attributes).addClass(['help-block', 'with-errors']));
     }
 
   });
@@ -1164,80 +1852,194 @@
 'use strict';
 (function($) {
 
+	// Pages with their own search (e.g. the applicability table) may prevent
+	// the "search.scjn" event to keep the search on the page.
+	var search = function(palabra) {
+		var e = $.Event('search.scjn', {query: palabra});
+		$(document).trigger(e);
+		if (!e.isDefaultPrevented()) {
+			window.location.replace("/gw/#/sistema-de-consulta/sitios?q="+encodeURIComponent(palabra || ''));
+		}
+	};
+
+	$(document).on('search.scjn', function(event) {
+		// Explicit requests for the site-wide search are always redirected.
+		if (event.global) {
+			window.location.replace("/gw/#/sistema-de-consulta/sitios?q="+encodeURIComponent(event.query || ''));
+		}
+	});
+
 	$('#web-search-button').click(function(event) {
 		event.preventDefault();
-		var palabra = $('#web-search').val();
-		window.location.replace("/gw/#/sistema-de-consulta/sitios?q="+palabra);
+		search($('#web-search').val());
 	});
 
     $('#mobile-search-button').click(function(event) {
         event.preventDefault();
-        var palabra = $('#mobile-search').val();
-        window.location.replace("/gw/#/sistema-de-consulta/sitios?q="+palabra);
+        search($('#mobile-search').val());
 	});
 })(jQuery);
 ;
-'use strict'
-jQuery(document).ready(function($){
-    /* */
-    $('.panel-collapse').on('show.bs.collapse', function () {
-        $(this).siblings('.panel-heading').addClass('active');
-    });
-    $('.panel-collapse').on('hide.bs.collapse', function () {
-        $(this).siblings('.panel-heading').removeClass('active');
-    });
-    /*
-    Desplegamos cuando el foco está sobre todo el elemento.
-    */
-    $('.topic').on('mouseenter', function() {
-        $(this).find('.collapse').collapse('show');
-    });
-    $('.topic').on('mouseleave', function() {
-        $(this).find('.collapse').collapse('hide');
-    });
-    /*
-    Desplegamos el elemento cuando el foco está sobre el enlace.
-    */
-   $('.topic .panel-group').each(function() {
-       var $this = $(this);
-        $this.find('.panel-heading > h2 > a').focus(function() {
-            $this.find('.collapse').collapse('show');
-        })
-   });
-});
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * Marks the heading of the open panels as active.
+   *
+   * The handlers are delegated to the document, so panels inserted later are
+   * covered too.
+   */
+  Drupal.behaviors.panelHeadingActive = {
+    attach: function (context) {
+      Bootstrap.once('panelHeadingActive', function () {
+        $(document)
+          .on('show.bs.collapse.panelHeadingActive', '.panel-collapse', function (e) {
+            if (e.target === this) {
+              $(this).siblings('.panel-heading').addClass('active');
+            }
+          })
+          .on('hide.bs.collapse.panelHeadingActive', '.panel-collapse', function (e) {
+            if (e.target === this) {
+              $(this).siblings('.panel-heading').removeClass('active');
+            }
+          });
+      });
+
+      // Panels rendered open.
+      $(context).find('.panel-collapse.in').siblings('.panel-heading').addClass('active');
+    },
+    detach: function (context, settings, trigger) {
+      if (trigger === 'unload') {
+        $(context).find('.panel-heading.active').removeClass('active');
+      }
+    }
+  };
+
+  /**
+   * Opens the panels of a topic while it is hovered or its link focused.
+   *
+   * The handlers are delegated to the document, so topics inserted later are
+   * covered too.
+   */
+  Drupal.behaviors.topicPanels = {
+    attach: function (context) {
+      Bootstrap.once('topicPanels', function () {
+        $(document)
+          // Desplegamos cuando el foco está sobre todo el elemento.
+          .on('mouseenter.topicPanels', '.topic', function () {
+            $(this).find('.collapse').collapse('show');
+          })
+          .on('mouseleave.topicPanels', '.topic', function () {
+            $(this).find('.collapse').collapse('hide');
+          })
+          // Desplegamos el elemento cuando el foco está sobre el enlace.
+          .on('focusin.topicPanels', '.topic .panel-group .panel-heading > h2 > a', function () {
+            $(this).closest('.panel-group').find('.collapse').collapse('show');
+          });
+      });
+    }
+  };
+
+})(jQuery, Drupal, Drupal.bootstrap);
 ;
-'use strict';
-jQuery(document).ready(function($){
-	$(window).scroll(function() {
-		var scroll = $(window).scrollTop();
-		if (scroll >= 150) {
-			$('#header-sticky').addClass('sticky');
-			$('#header-sticky').removeClass('d-none');
-			$('#header-sticky').addClass('d-block');
-		} else {
-			$('#header-sticky').removeClass('sticky');
-			$('#header-sticky').addClass('d-none');
-			$('#header-sticky').removeClass('d-block');
-		}
+(function ($, Drupal, Bootstrap) {
+  'use strict';
 
-	});
-});
+  /**
+   * Shows the sticky header once the page scrolls past a threshold.
+   *
+   * The threshold defaults to 150 pixels and can be set in
+   * drupalSettings.scroll.header.threshold. With
+   * drupalSettings.scroll.header.autohide, the header also slides away while
+   * the page scrolls down and comes back as soon as it scrolls up.
+   */
+  Drupal.behaviors.stickyHeader = {
+    watcher: null,
+    attach: function (context, settings) {
+      var $header = $(context).find('#header-sticky');
+      if (!$header.length || this.watcher) {
+        return;
+      }
+
+      var options = $.extend({threshold: 150, autohide: false}, settings.scroll && settings.scroll.header);
+      var hidden = false;
+      var hide = function (state) {
+        if (state !== hidden) {
+          hidden = state;
+          $header.toggleClass('sticky-hidden', state);
+        }
+      };
+
+      this.watcher = Bootstrap.scroll.watch({
+        threshold: options.threshold,
+        enter: function () {
+          $header.addClass('sticky d-block').removeClass('d-none');
+        },
+        leave: function () {
+          $header.removeClass('sticky d-block').addClass('d-none');
+          hide(false);
+        },
+        scroll: options.autohide ? function (direction) {
+          hide(!!this.inside && direction === 'down');
+        } : null
+      });
+
+      // Bring the header back when a link of it is reached from the keyboard.
+      if (options.autohide) {
+        $header.on('focusin.stickyHeader', function () {
+          hide(false);
+        });
+      }
+    },
+    detach: function (context, settings, trigger) {
+      var $header = $(context).find('#header-sticky');
+      if (trigger === 'unload' && this.watcher && $header.length) {
+        Bootstrap.scroll.unwatch(this.watcher);
+        this.watcher = null;
+        $header.off('focusin.stickyHeader');
+      }
+    }
+  };
+
+})(jQuery, Drupal, Drupal.bootstrap);
 ;
-'use strict';
-jQuery(document).ready(function($){
-	$(window).scroll(function() {
-		var scroll = $(window).scrollTop();
-    if (scroll >= 200) {
-      $('#social-network-sticky').removeClass('d-none');
-      $('#social-network-sticky').addClass('sticky');
-      $('#social-network-sticky').addClass('d-lg-block');
-    } else {
-      $('#social-network-sticky').addClass('d-none');
-      $('#social-network-sticky').removeClass('sticky');
-      $('#social-network-sticky').removeClass('d-lg-block');
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * Shows the social networks bar once the page scrolls past a threshold.
+   *
+   * The threshold defaults to 200 pixels and can be set in
+   * drupalSettings.scroll.social.threshold.
+   */
+  Drupal.behaviors.stickySocialNetworks = {
+    watcher: null,
+    attach: function (context, settings) {
+      var $social = $(context).find('#social-network-sticky');
+      if (!$social.length || this.watcher) {
+        return;
+      }
+
+      var options = $.extend({threshold: 200}, settings.scroll && settings.scroll.social);
+      this.watcher = Bootstrap.scroll.watch({
+        threshold: options.threshold,
+        enter: function () {
+          $social.removeClass('d-none').addClass('sticky d-lg-block');
+        },
+        leave: function () {
+          $social.addClass('d-none').removeClass('sticky d-lg-block');
+        }
+      });
+    },
+    detach: function (context, settings, trigger) {
+      if (trigger === 'unload' && this.watcher && $(context).find('#social-network-sticky').length) {
+        Bootstrap.scroll.unwatch(this.watcher);
+        this.watcher = null;
+      }
     }
-	});
-});
+  };
+
+})(jQuery, Drupal, Drupal.bootstrap);
 ;
 /* ========================================================================
 * Extends Bootstrap v3.1.1
@@ -1259,30 +2061,13 @@ jQuery(document).ready(function($){
 * ======================================================================== */
 
 
-(function ($) {
+(function ($, Drupal, Bootstrap) {
     "use strict";
 
     // GENERAL UTILITY FUNCTIONS
     // ===============================
 
-    var uniqueId = function (prefix) {
-        return (prefix || 'ui-id') + '-' + Math.floor((Math.random() * 1000) + 1)
-    }
-
-
-    var removeMultiValAttributes = function (el, attr, val) {
-        var describedby = (el.attr(attr) || "").split(/\s+/)
-            , index = $.inArray(val, describedby)
-        if (index !== -1) {
-            describedby.splice(index, 1)
-        }
-        describedby = $.trim(describedby.join(" "))
-        if (describedby) {
-            el.attr(attr, describedby)
-        } else {
-            el.removeAttr(attr)
-        }
-    }
+    // Ids are handed out by Drupal.bootstrap.ids, so they can't collide.
 
     // selectors  Courtesy: https://github.com/jquery/jquery-ui/blob/master/ui/core.js
     var focusable = function (element, isTabIndexNotNaN) {
@@ -1332,6 +2117,14 @@ jQuery(document).ready(function($){
         }
     });
 
+    // Tooltip Extension
+    // ===============================
+
+    // The popover prototype is a copy of the tooltip one, extend both.
+    $.fn.tooltip.Constructor.prototype.getUID = $.fn.popover.Constructor.prototype.getUID = function (prefix) {
+        return Bootstrap.ids.generate(prefix)
+    }
+
     // Popover Extension
     // ===============================
 
@@ -1341,14 +2134,14 @@ jQuery(document).ready(function($){
     $.fn.popover.Constructor.prototype.setContent = function () {
         showPopover.apply(this, arguments)
         var $tip = this.tip()
-            , tooltipID = $tip.attr('id') || uniqueId('ui-tooltip')
-        $tip.attr({ 'role': 'alert', 'id': tooltipID })
-        this.$element.attr('aria-describedby', tooltipID)
+            , tooltipID = Bootstrap.ids.ensure($tip, 'ui-tooltip', this.$element.attr('id'))
+        $tip.attr('role', 'alert')
+        Bootstrap.ids.reference(this.$element, 'aria-describedby', tooltipID)
         this.$element.focus()
     }
     $.fn.popover.Constructor.prototype.hide = function () {
         hidePopover.apply(this, arguments)
-        removeMultiValAttributes(this.$element, 'aria-describedby', this.tip().attr('id'))
+        Bootstrap.ids.dereference(this.$element, 'aria-describedby', this.tip().attr('id'))
         return this
     }
 
@@ -1453,9 +2246,7 @@ jQuery(document).ready(function($){
     $tabs.each(function (index) {
         var tabpanel = $($(this).attr('href'))
             , tab = $(this)
-            , tabid = tab.attr('id') || uniqueId('ui-tab')
-
-        tab.attr('id', tabid)
+            , tabid = Bootstrap.ids.ensure(tab, 'ui-tab', tabpanel.attr('id'))
 
         if (tab.parent().hasClass('active')) {
             tab.attr({ 'tabIndex': '0', 'aria-selected': 'true', 'aria-controls': tab.attr('href').substr(1) })
@@ -1500,6 +2291,10 @@ jQuery(document).ready(function($){
 
     $(document).on('keydown.tab.data-api', '[data-toggle="tab"], [data-toggle="pill"]', $.fn.tab.Constructor.prototype.keydown)
 
+    $(document).on('shown.bs.tab', function (e) {
+        Bootstrap.announce(Drupal.t('Pestaña @label seleccionada', { '@label': $.trim($(e.target).text()) }))
+    })
+
     var tabactivate = $.fn.tab.Constructor.prototype.activate;
     $.fn.tab.Constructor.prototype.activate = function (element, container, callback) {
         var $active = container.find('> .active')
@@ -1522,9 +2317,7 @@ jQuery(document).ready(function($){
             , collpanel = (colltab.attr('data-target')) ? $(colltab.attr('data-target')) : $(colltab.attr('href'))
             , parent = colltab.attr('data-parent')
             , collparent = parent && $(parent)
-            , collid = colltab.attr('id') || uniqueId('ui-collapse')
-
-        colltab.attr('id', collid)
+            , collid = Bootstrap.ids.ensure(colltab, 'ui-collapse', collpanel.attr('id'))
 
         if (collparent) {
             colltab.attr({ 'role': 'tab', 'aria-selected': 'false', 'aria-expanded': 'false' })
@@ -1605,6 +2398,25 @@ jQuery(document).ready(function($){
 
     $(document).on('keydown.collapse.data-api', '[data-toggle="collapse"]', $.fn.collapse.Constructor.prototype.keydown);
 
+    // Announce the panels opened and closed, by the text of their toggle.
+    $(document).on('shown.bs.collapse hidden.bs.collapse', function (e) {
+        var id = e.target.id
+            , labelledby = $.trim($(e.target).attr('aria-labelledby') || '').split(/\s+/)[0]
+            , $label = labelledby ? $(document.getElementById(labelledby)) : $()
+            , label
+
+        if (!$label.length && id) {
+            $label = $('[aria-controls~="' + id + '"], [data-target="#' + id + '"], [data-bs-target="#' + id + '"], [href="#' + id + '"]').first()
+        }
+        label = $.trim($label.text())
+
+        if (e.type === 'shown') {
+            Bootstrap.announce(label ? Drupal.t('Sección @label desplegada', { '@label': label }) : Drupal.t('Sección desplegada'))
+        } else {
+            Bootstrap.announce(label ? Drupal.t('Sección @label contraída', { '@label': label }) : Drupal.t('Sección contraída'))
+        }
+    })
+
 
     // ==========================
     // Carousel Extension
@@ -1933,340 +2745,458 @@ jQuery(document).ready(function($){
     }
     $(document).on('keydown.carousel.data-api', 'li[role=tab]', $.fn.carousel.Constructor.prototype.keydown);
 
-})(jQuery);
+    // Announce the slide reached, unless the carousel is cycling on its own.
+    $(document).on('slid.bs.carousel', '.carousel', function (e) {
+        var $items = $(this).find('.item')
+        if (e.target === this && $.contains(this, document.activeElement)) {
+            Bootstrap.announce(Drupal.t('Noticia @index de @count', { '@index': $items.index($items.filter('.active')) + 1, '@count': $items.length }))
+        }
+    })
+
+})(jQuery, Drupal, Drupal.bootstrap);
 ;
 
-var fileExtensionsArray = new Object();
+/**
+ * @file
+ * Global helpers building file links, called by the views templates.
+ *
+ * The file types are registered in js/file-types.js.
+ */
+function fileExtension(file) {
+    return Drupal.fileTypes.extension(file);
+}
 
-fileExtensionsArray['pdf'] = {
-    "color" : ' list-icons ',
-    "icon" : ' icon-pdf ',
-    "typeFile": ' Archivo Pdf '
+function composeLink(extension, filepath, texttospeech){
+    // Escaped by the theme hook.
+    return Drupal.theme('fileLink', filepath, texttospeech, extension);
 };
+(function ($, Drupal, Bootstrap) {
+  'use strict';
 
-fileExtensionsArray['doc'] = {
-    "color" : ' word-icons ',
-    "icon" : ' icon-doc-word ',
-    "typeFile": 'Archivo Word '
-};
+  /**
+   * Shows the scroll to top button once the page scrolls past a threshold.
+   *
+   * The threshold defaults to 100 pixels and can be set in
+   * drupalSettings.scroll.scrollToTop.threshold.
+   */
+  Drupal.behaviors.scrollToTop = {
+    watcher: null,
+    attach: function (context, settings) {
+      var $button = $(context).find('#scroll-to-top');
+      if (!$button.length || this.watcher) {
+        return;
+      }
 
-fileExtensionsArray['docx'] = {
-    "color" : ' word-icons ',
-    "icon" : ' icon-doc-word ',
-    "typeFile": ' Archivo Word '
-};
+      var options = $.extend({threshold: 100}, settings.scroll && settings.scroll.scrollToTop);
+      this.watcher = Bootstrap.scroll.watch({
+        threshold: options.threshold,
+        enter: function () {
+          $button.stop(true).fadeIn(Bootstrap.reducedMotion() ? 0 : 400);
+        },
+        leave: function () {
+          $button.stop(true).fadeOut(Bootstrap.reducedMotion() ? 0 : 400);
+        }
+      });
 
-fileExtensionsArray['rtf'] = {
-    "color" : ' word-icons ',
-    "icon" : ' icon-doc-word ',
-    "typeFile": ' Archivo Word '
-};
+      // Click event to scroll to top
+      $button.on('click.scrollToTop', function () {
+        $('html, body').stop().animate({scrollTop: 0}, Bootstrap.reducedMotion() ? 0 : 600);
+      });
+    },
+    detach: function (context, settings, trigger) {
+      var $button = $(context).find('#scroll-to-top');
+      if (trigger === 'unload' && this.watcher && $button.length) {
+        Bootstrap.scroll.unwatch(this.watcher);
+        this.watcher = null;
+        $button.stop(true).off('click.scrollToTop');
+      }
+    }
+  };
 
-fileExtensionsArray['xls'] = {
-    "color" : ' excel-icons ',
-    "icon" : ' icon-excel ',
-    "typeFile": 'Archivo Excel '
-};
+})(jQuery, Drupal, Drupal.bootstrap);
+;
+(function ($, Drupal, Bootstrap) {
+  'use strict';
 
-fileExtensionsArray['xlsx'] = {
-    "color" : ' excel-icons ',
-    "icon" : ' icon-excel ',
-    "typeFile": ' Archivo Excel '
-};
+  /**
+   * Fixes the markup of the navigation, tables and views exposed filters.
+   */
+  Drupal.behaviors.markupFixes = {
+    attach: function (context) {
+      $(context).find('nav').addBack('nav').removeAttr('role');
+      // $('.menu a[target="_blank"]').parent().removeAttr("aria-label");
+      // $('.menu a[target="_blank"]').attr('aria-label', 'Este enlace se abrirá en una nueva ventana');
 
-fileExtensionsArray['avi'] = {
-    "color" : ' list-blue-icons ',
-    "icon" : ' icon-videos ',
-    "typeFile": ' Archivo Avi '
-};
+      $(context).find('.table span.accesible_id').each(function () {
+        $(this).parent().attr('id', $(this).attr('id'));
+        $(this).removeAttr('id');
+      });
 
-fileExtensionsArray['mp4'] = {
-    "color" : ' list-blue-icons ',
-    "icon" : ' icon-videos ',
-    "typeFile": ' Archivo Mp4 '
-};
+      // Change text for dropdown /pleno/secretaria-general-de-acuerdos/circulares-emitidas-por-la-secretaria-general-de-acuerdos
+      $(context).find('#edit-field-c8ssga-tipo-target-id option[value=All]').text('Tipo de Circular');
+    }
+  };
 
-fileExtensionsArray['mp3'] = {
-    "color" : ' list-blue-icons ',
-    "icon" : ' icon-audio ',
-    "typeFile": ' Archivo Mp3 '
-};
+  /**
+   * Validates the search and the feedback forms.
+   */
+  Drupal.behaviors.formValidator = {
+    attach: function (context) {
+      $(context).find('#formulario_busqueda, #contact-message-feedback-form').addBack('#formulario_busqueda, #contact-message-feedback-form').each(function () {
+        var $form = $(this);
+
+        // The markup is added once, it stays when the validator is destroyed.
+        if ($form.is('#contact-message-feedback-form') && !$form.data('feedbackForm')) {
+          $form.data('feedbackForm', true);
+          $form.find('input, textarea').after(Drupal.theme('helpBlock'));
+          $form.before('<div class="row "><p class="bg-info informative">Las entradas con <strong>*</strong> son requeridas</p></div>');
+          $form.find('#edit-name').attr('data-error', 'Por favor, llene el campo Nombre, por ejemplo: Martín López');
+          $form.find('#edit-mail').attr('data-error', 'Por favor, llene el campo Correo Electrónico, por ejemplo: martinlopez@correo.com');
+          $form.find('#edit-message-0-value').attr('data-error', 'Por favor, llene el campo Mensaje con sus comentarios hacia este Alto Tribunal');
+          $form.wrapInner('<fieldset id="field_wrapper"></fieldset>');
+          $form.find('#field_wrapper').append('<legend>Queremos conocer su opinión</legend>');
+        }
 
-fileExtensionsArray['rar'] = {
-    "color" : ' list-blue-icons ',
-    "icon" : ' icon-zip ',
-    "typeFile": ' Archivo rar '
-};
+        if (!$form.data('bs.validator')) {
+          $form
+            // Removed by validator('destroy') along with the validator events.
+            .on('invalid.bs.validator', function (e) {
+              var $field = $(e.relatedTarget);
+              var label = $.trim($form.find('label[for="' + $field.attr('id') + '"]').text().replace(/\*/g, ''));
+              var error = e.detail && e.detail[0] || Drupal.t('El valor no es válido');
+              Bootstrap.announce(label ? Drupal.t('@label: @error', {'@label': label, '@error': error}) : error, 'assertive');
+            })
+            .validator();
+        }
+      });
+    },
+    detach: function (context, settings, trigger) {
+      if (trigger === 'unload') {
+        $(context).find('#formulario_busqueda, #contact-message-feedback-form').addBack('#formulario_busqueda, #contact-message-feedback-form').validator('destroy');
+      }
+    }
+  };
 
-fileExtensionsArray['zip'] = {
-    "color" : ' list-blue-icons ',
-    "icon" : ' icon-zip ',
-    "typeFile": ' Archivo zip '
-};
+  /**
+   * Makes the tables listing files accessible.
+   */
+  Drupal.behaviors.fileListingTables = {
+    attach: function (context) {
+      // Change behavior for table's file listing
+      $(context).find('.tabla-listado-archivos').addBack('.tabla-listado-archivos').each(function () {
+        var $table = $(this);
+        // Ya procesado.
+        if ($table.data('fileListing')) {
+          return;
+        }
+        $table.data('fileListing', true);
 
-function fileExtension(file) {
-    return file.substr((file.lastIndexOf('.') +1)).toLowerCase();
-}
+        $table.find('caption').text('Tabla de archivos relacionados con ' + $('h1:first').text());
+        $table.find('tr:empty').remove();
+        $table.find('tbody tr').each(function () {
+          if ($(this).find('td').length < 2) {
+            $(this).append('<td><p class="sr-only">No hay un archivo para esta entrada</p></td>');
+          }
+        });
+        $table.find('span.file a').each(function () {
+          var filepath = $(this).attr('href');
+          var extension = fileExtension(filepath);
+          var texttospeech = $(this).parents().eq(2).prev().text();
+          var htmlCompose = composeLink(extension, filepath, texttospeech);
 
-function composeLink(extension, filepath, texttospeech){
-    color = ' list-icons ';
-    icon = ' icon-pdf';
-    typeFile = ' Archivo ';
-    if (fileExtensionsArray.hasOwnProperty(extension)){
-        color = fileExtensionsArray[extension].color;
-        icon = fileExtensionsArray[extension].icon;
-        typeFile = fileExtensionsArray[extension].typeFile;
+          $(this).parent().parent().replaceWith(Drupal.theme('element', 'div', {}, {markup: htmlCompose}));
+        });
+      });
     }
+  };
 
-    return '<a href="'+filepath+'" aria-label="Se abrirá el '+typeFile+' correspondiente a '+texttospeech+' en una ventana nueva" class="scjn-icon-file">'+
-        '<div class="media-left '+color+'">'+
-            '<em class="icons-vdos '+icon+'">&nbsp;</em>'+
-        '</div>'+
-    '</a>';
+})(jQuery, Drupal, Drupal.bootstrap);
 
-};
-'use strict';
-(function($) {
+;
+(function ($, Drupal) {
 
-  $(window).scroll(function(){
-		if ($(this).scrollTop() > 100) {
-			$('#scroll-to-top').fadeIn();
-		} else {
-			$('#scroll-to-top').fadeOut();
-		}
-	});
+  /**
+   * Replaces the icon of the documents listed by views with the one of their
+   * type.
+   */
+  Drupal.behaviors.viewsFileIcons = {
+    attach: function (context) {
+      //Nombre del campo en la vista
+      // .views-field-field-anexo-est-documento - Anexo Estadistico
+      // .views-field-field-c1ss4n-documentos - Convocatorias para Sesion
+      // .views-field-field-p12sc10n-documento - Procedimientos de Contratación
+      // .views-field-field-c9sgentrab-documento-word - Condiciones Generales de Trabajo
+      // .views-field-field-i6st11a-documento-anual - Informes de Transparencia
+      // .views-field-field-h7oi9na12a-archivo - Histórico de Información Otorgada a Particulares - Administrativa
+      // .views-field-field-e5on12s-resolucion -Estrado electrónico de notificaciones a peticionarios
+      // .media-switch - Clase genérica para cambio de icono
+      $(context).find('.views-field-field-anexo-est-documento .media, .views-field-field-c1ss4n-documentos .media, .views-field-field-p12sc10n-documento .media, .views-field-field-c9sgentrab-documento-word .media, .views-field-field-i6st11a-documento-anual .media, .views-field-field-h7oi9na12a-archivo .media, .views-field-field-e5on12s-resolucion .media, .media.switch').each(function () {
+        // Ya procesado.
+        if ($(this).data('viewsFileIcon')) {
+          return;
+        }
+        $(this).data('viewsFileIcon', true);
+
+        // The first link to a registered file type gives the icon.
+        var type = null;
+        $(this).find('a[href]').each(function () {
+          var found = Drupal.fileTypes.lookup($(this).attr('href'));
+          if (Drupal.fileTypes.exists(found.extension)) {
+            type = found;
+            return false;
+          }
+        });
+        if (!type) {
+          return;
+        }
 
-	// Click event to scroll to top
-	$('#scroll-to-top').click(function(event){
-		$('html, body').stop().animate({ scrollTop : 0 }, 600);
-	});
+        // Cambiamos color e icono y añadimos nuevo aria (Accesibilidad)
+        if (type.note) {
+          $(this).find('a').attr('aria-describedby', type.note);
+        }
+        $(this).find('.media-left').removeClass(Drupal.fileTypes.fallback.color).addClass(type.color);
+        $(this).find('.icons-vdos').removeClass(Drupal.fileTypes.fallback.icon).addClass(type.icon);
+      });
+    }
+  };
 
-})(jQuery);
+})(jQuery, Drupal);
 ;
-"use strict"
-jQuery(document).ready(function($){
-	$("nav").removeAttr("role");
-	// $('.menu a[target="_blank"]').parent().removeAttr("aria-label");
-	// $('.menu a[target="_blank"]').attr('aria-label', 'Este enlace se abrirá en una nueva ventana');
-	$('#formulario_busqueda').validator();
-    $('#contact-message-feedback-form').validator();
-    
-    $.each($('#contact-message-feedback-form input'), function(key,value){
-        $(value).after("<div class=\"help-block with-errors\"></div>");
-    });
+(function ($, Drupal, Bootstrap) {
+  'use strict';
 
-	$.each($('#contact-message-feedback-form textarea'), function(key,value){
-		$(value).after("<div class=\"help-block with-errors\"></div>");
-	});
+  /**
+   * The number of items the multi-item carousels show at once, keyed by the
+   * minimum width of the viewport, in pixels.
+   *
+   * A carousel can set its own with a JSON "data-items" attribute, e.g.
+   * data-items='{"0": 1, "992": 4}'.
+   *
+   * @type {Object<Number,Number>}
+   */
+  var MULTI_ITEM_BREAKPOINTS = {0: 1, 768: 2, 992: 3};
 
-	$('#contact-message-feedback-form').before("<div class=\"row \"><p class=\"bg-info informative\">Las entradas con <strong>*</strong> son requeridas</p></div>");
-	$('#contact-message-feedback-form #edit-name').attr('data-error','Por favor, llene el campo Nombre, por ejemplo: Martín López');
-	$('#contact-message-feedback-form #edit-mail').attr('data-error','Por favor, llene el campo Correo Electrónico, por ejemplo: martinlopez@correo.com');
-	$('#contact-message-feedback-form #edit-message-0-value').attr('data-error','Por favor, llene el campo Mensaje con sus comentarios hacia este Alto Tribunal');
-	$('#contact-message-feedback-form').wrapInner('<fieldset id="field_wrapper"></fieldset>');
-    $('#field_wrapper').append('<legend>Queremos conocer su opinión</legend>');
-    
-	$.each($('.table span.accesible_id'),function(key,value){
-		$(value).parent().attr('id',$(value).attr('id'));
-		$(value).removeAttr('id');
-	});
+  /**
+   * The minimum distance of a swipe, in pixels.
+   *
+   * @type {Number}
+   */
+  var SWIPE_DISTANCE = 50;
 
-	// Change behavior for table's file listing
-	$(".tabla-listado-archivos caption").text("Tabla de archivos relacionados con " + $('h1:first').text());
-	$(".tabla-listado-archivos tr:empty").remove();
-	$.each($(".tabla-listado-archivos tbody tr"),function(){
-		if( $(this).find("td").length  < 2 ){
-			$(this).append('<td><p class="sr-only">No hay un archivo para esta entrada</p></td>')
-		}
-	});
-	$.each($(".tabla-listado-archivos span.file a "), function(){
-		var filepath = $(this).attr('href');
-		var extension = fileExtension(filepath);
-		var texttospeech = $(this).parents().eq(2).prev().text();
-		var htmlCompose = composeLink(extension,filepath, texttospeech);
-		
-		$(this).parent().parent().replaceWith('<div>'+htmlCompose+'</div>');
-	});
-	// Change text for dropdown /pleno/secretaria-general-de-acuerdos/circulares-emitidas-por-la-secretaria-general-de-acuerdos
-	$("#edit-field-c8ssga-tipo-target-id option[value=All]").text('Tipo de Circular');
+  /**
+   * Retrieves the number of items a multi-item carousel shows at once.
+   *
+   * @param {jQuery} $carousel
+   *   The carousel.
+   *
+   * @return {Number}
+   *   The number of items for the current width of the viewport.
+   */
+  var itemsPerView = function ($carousel) {
+    var breakpoints = $.isPlainObject($carousel.data('items')) ? $carousel.data('items') : MULTI_ITEM_BREAKPOINTS;
+    var width = window.innerWidth || document.documentElement.clientWidth;
+    var matched = -1;
+    var count = 1;
+    $.each(breakpoints, function (minWidth, items) {
+      minWidth = parseInt(minWidth, 10);
+      if (width >= minWidth && minWidth > matched) {
+        matched = minWidth;
+        count = Math.max(1, parseInt(items, 10) || 1);
+      }
+    });
+    return count;
+  };
 
+  /**
+   * Shows the items of a multi-item carousel from the active one on.
+   *
+   * The following items (wrapping around) are shown next to the active one
+   * through the CSS "order" property, instead of copies of them.
+   *
+   * @param {jQuery} $carousel
+   *   The carousel.
+   * @param {Element} [active]
+   *   The item to show first, the active one by default.
+   */
+  var layoutItems = function ($carousel, active) {
+    var $items = $carousel.find('.carousel-inner > .item');
+    var count = Math.min(itemsPerView($carousel), $items.length);
+    var start = Math.max(0, $items.index(active || $items.filter('.active')[0]));
+
+    $carousel[0].style.setProperty('--multi-item-count', String(count));
+    $items.each(function (i) {
+      var position = (i - start + $items.length) % $items.length;
+      var visible = position < count;
+      this.style.order = String(position);
+      $(this).toggleClass('multi-item-visible', visible);
+
+      // Images are only loaded once their item is shown.
+      if (visible) {
+        $(this).find('img[data-src]').each(function () {
+          this.setAttribute('src', this.getAttribute('data-src'));
+          this.removeAttribute('data-src');
+        });
+      }
+    });
+  };
 
-});
+  /**
+   * Shows several items at once in the multi-item carousels.
+   *
+   * The number of items depends on the width of the viewport. The carousel
+   * pauses while hovered or focused, never plays if reduced motion is asked
+   * for, and can be moved with the arrow keys and by swiping.
+   */
+  Drupal.behaviors.multiItemCarousel = {
+    attach: function (context) {
+      Bootstrap.once('multiItemCarousel', function () {
+        var timeout;
+        $(window).on('resize.multiItemCarousel', function () {
+          window.clearTimeout(timeout);
+          timeout = window.setTimeout(function () {
+            $('.multi-item-carousel').each(function () {
+              if ($(this).data('multiItem')) {
+                layoutItems($(this));
+              }
+            });
+          }, 100);
+        });
+      });
 
-;
-jQuery(document).ready(function($){
-  //Nombre del campo en la vista
-  // .views-field-field-anexo-est-documento - Anexo Estadistico
-  // .views-field-field-c1ss4n-documentos - Convocatorias para Sesion
-  // .views-field-field-p12sc10n-documento - Procedimientos de Contratación
-  // .views-field-field-c9sgentrab-documento-word - Condiciones Generales de Trabajo
-  // .views-field-field-i6st11a-documento-anual - Informes de Transparencia
-  // .views-field-field-h7oi9na12a-archivo - Histórico de Información Otorgada a Particulares - Administrativa
-  // .views-field-field-e5on12s-resolucion -Estrado electrónico de notificaciones a peticionarios
-  // .media-switch - Clase genérica para cambio de icono
-  $('.views-field-field-anexo-est-documento .media, .views-field-field-c1ss4n-documentos .media, .views-field-field-p12sc10n-documento .media, .views-field-field-c9sgentrab-documento-word .media, .views-field-field-i6st11a-documento-anual .media, .views-field-field-h7oi9na12a-archivo .media, .views-field-field-e5on12s-resolucion .media, .media.switch').each(function () {
-    // Añadimos una clase al vínculo como referencia
-    $(this).find('a[href$=".pdf"]').addClass("pdf");
-    $(this).find('a[href$=".xls"]').addClass("xls");
-    $(this).find('a[href$=".xlsx"]').addClass("xls");
-    $(this).find('a[href$=".doc"]').addClass("doc");
-    $(this).find('a[href$=".docx"]').addClass("doc");
-    $(this).find('a[href$=".zip"]').addClass("zip");
-    $(this).find('a[href$=".mp4"]').addClass("mp4");
-    $(this).find('a[href$=".avi"]').addClass("avi");
-
-    //Si el vinculo tiene la clase determinada eliminamos color e icono y añadimos nuevo aria (Accesibilidad)
-    if($(this).find('a').hasClass("xls")) {
-      $(this).find('a').attr("aria-describedby", "nota_excel");
-      $(this).find('.media-left').removeClass('list-icons').addClass('excel-icons');
-      $(this).find('.icons-vdos').removeClass('icon-pdf').addClass('icon-excel');
-    }
-    else if ($(this).find('a').hasClass("doc")) {
-      $(this).find('a').attr("aria-describedby", "nota_word");
-      $(this).find('.media-left').removeClass('list-icons').addClass('word-icons');
-      $(this).find('.icons-vdos').removeClass('icon-pdf').addClass('icon-doc-word');
-    }
-    else if ($(this).find('a').hasClass("zip")) {
-      $(this).find('a').attr("aria-describedby", "nota_zip");
-      $(this).find('.media-left').removeClass('list-icons').addClass('list-blue-icons');
-      $(this).find('.icons-vdos').removeClass('icon-pdf').addClass('icon-zip');
-    }
-    else if ($(this).find('a').hasClass("mp4")) {
-      $(this).find('a').attr("aria-describedby", "nota_video");
-      $(this).find('.media-left').removeClass('list-icons').addClass('list-blue-icons');
-      $(this).find('.icons-vdos').removeClass('icon-pdf').addClass('icon-videos');
-    }
-    else if ($(this).find('a').hasClass("avi")) {
-      $(this).find('a').attr("aria-describedby", "nota_video_avi");
-      $(this).find('.media-left').removeClass('list-icons').addClass('list-blue-icons');
-      $(this).find('.icons-vdos').removeClass('icon-pdf').addClass('icon-videos');
-    }
-  });
+      $(context).find('.multi-item-carousel').addBack('.multi-item-carousel').each(function () {
+        var $carousel = $(this);
+        // Ya procesado.
+        if ($carousel.data('multiItem')) {
+          return;
+        }
+        $carousel.data('multiItem', true);
+
+        var $items = $carousel.find('.carousel-inner > .item');
+        $carousel.attr('aria-roledescription', Drupal.t('carrusel'));
+        $items.each(function (i) {
+          var $item = $(this);
+          // The accessibility extension labels the items by their indicator.
+          var labelledby = $item.attr('aria-labelledby');
+          if (labelledby && !document.getElementById(labelledby)) {
+            $item.removeAttr('aria-labelledby');
+          }
+          $item.attr({
+            role: 'group',
+            'aria-roledescription': Drupal.t('diapositiva'),
+            'aria-label': Drupal.t('@index de @count', {'@index': i + 1, '@count': $items.length})
+          });
+          $item.find('img:not([loading])').attr('loading', 'lazy');
+        });
 
-});
-;
-"use strict"
-jQuery(document).ready(function($){
+        layoutItems($carousel);
 
-	$('.multi-item-carousel').carousel({
-	    interval: 5000
-	});
+        // The arrow keys are handled below, leaving the keydown of the
+        // accessibility extension to the indicators.
+        $carousel.carousel({
+          interval: false,
+          keyboard: false
+        });
+        Bootstrap.autoplay($carousel, !Bootstrap.reducedMotion(), 5000);
+
+        var touch = null;
+        var hovered = false;
+        $carousel
+          .on('slide.bs.carousel.multiItemCarousel', function (e) {
+            if (e.target === this) {
+              layoutItems($carousel, e.relatedTarget);
+            }
+          })
+          .on('slid.bs.carousel.multiItemCarousel', function (e) {
+            if (e.target === this) {
+              layoutItems($carousel);
+            }
+          })
+          .on('mouseenter.multiItemCarousel mouseleave.multiItemCarousel', function (e) {
+            hovered = e.type === 'mouseenter';
+          })
+          .on('focusin.multiItemCarousel', function () {
+            $carousel.carousel('pause');
+          })
+          .on('focusout.multiItemCarousel', function () {
+            // Wait for the focus to land on its new element.
+            window.setTimeout(function () {
+              // Cycling does nothing while the autoplay is off.
+              if (!$.contains($carousel[0], document.activeElement) && !hovered) {
+                $carousel.carousel('cycle');
+              }
+            }, 0);
+          })
+          .on('keydown.multiItemCarousel', function (e) {
+            // The indicators are handled by the accessibility extension.
+            if ((e.which !== 37 && e.which !== 39) || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey || $(e.target).is(':input, [contenteditable], .carousel-indicators *')) {
+              return;
+            }
+            e.preventDefault();
+            $carousel.carousel(e.which === 37 ? 'prev' : 'next');
+          })
+          .on('touchstart.multiItemCarousel', function (e) {
+            var point = e.originalEvent.touches && e.originalEvent.touches[0];
+            touch = point ? {x: point.clientX, y: point.clientY} : null;
+          })
+          .on('touchend.multiItemCarousel', function (e) {
+            var point = e.originalEvent.changedTouches && e.originalEvent.changedTouches[0];
+            if (touch && point) {
+              var x = point.clientX - touch.x;
+              if (Math.abs(x) >= SWIPE_DISTANCE && Math.abs(x) > Math.abs(point.clientY - touch.y)) {
+                $carousel.carousel(x < 0 ? 'next' : 'prev');
+              }
+            }
+            touch = null;
+          });
+      });
+    },
+    detach: function (context, settings, trigger) {
+      if (trigger === 'unload') {
+        $(context).find('.multi-item-carousel').addBack('.multi-item-carousel').each(function () {
+          $(this)
+            .carousel('pause')
+            .off('.multiItemCarousel')
+            .removeData('multiItem')
+            .find('.carousel-inner > .item')
+            .removeClass('multi-item-visible')
+            .css('order', '');
+          this.style.removeProperty('--multi-item-count');
+        });
+      }
+    }
+  };
 
-	$('.multi-item-carousel .item').each(function(){
-	    var next = $(this).next();
-	    if (!next.length) {
-	        next = $(this).siblings(':first');
-	    }
-	    next.children(':first-child').clone().appendTo($(this));
-
-	    if (next.next().length>0) {
-	        next.next().children(':first-child').clone().appendTo($(this));
-	    } else {
-	  	    $(this).siblings(':first').children(':first-child').clone().appendTo($(this));
-	    }
-	});
-});
+})(jQuery, Drupal, Drupal.bootstrap);
 ;
-jQuery(document).ready(function($){
-
-  var extension='';
-  var color='';
-  var icon='';
-  var label='';
-  var typeFile='';
-  var newLabel='';
-
-  $('.media.accesibillity, .tabla-listado-archivos.file-link').each(function () {
-    // Obtenemos extensión de cada enlace
-    extension = fileExtension($(this).find('a').attr('href'));
-    // Buscamos anchoy añadimos la clase según la extensión
-    $(this).find('a').addClass(extension);
-    // Añadimos color, tipo de icono y atributos aria
-    $(this).find('.media-left').removeClass('list-icons');
-    $(this).find('.icons-vdos').removeClass('icon-pdf');
-
-    switch ($(this).find('a').attr('class')) {
-      case 'pdf':
-        color = 'list-icons';
-        icon ='icon-pdf';
-        label = $(this).find('a').attr('aria-label');
-        typeFile = " Archivo Pdf";
-        newLabel = label.concat(typeFile);
-      break;
-      case 'doc':
-      case 'docx':
-        color = 'word-icons';
-        icon ='icon-doc-word';
-        label = $(this).find('a').attr('aria-label');
-        typeFile = "Archivo Word";
-        newLabel = label.concat(typeFile);
-      break;
-      case 'rtf':
-        color = 'word-icons';
-        icon ='icon-doc-word';
-        label = $(this).find('a').attr('aria-label');
-        typeFile = " Archivo Rtf";
-        newLabel = label.concat(typeFile);
-      break;
-      case 'xls':
-      case 'xlsx':
-        color = 'excel-icons';
-        icon ='icon-excel';
-        label = $(this).find('a').attr('aria-label');
-        typeFile = " Archivo Excel";
-        newLabel = label.concat(typeFile);
-      break;
-      case 'avi':
-        color = 'list-blue-icons';
-        icon ='icon-videos';
-        label = $(this).find('a').attr('aria-label');
-        typeFile = " Archivo Avi";
-        newLabel = label.concat(typeFile);
-      break;
-      case 'mp4':
-        color = 'list-blue-icons';
-        icon ='icon-videos';
-        label = $(this).find('a').attr('aria-label');
-        typeFile = " Archivo Mp4";
-        newLabel = label.concat(typeFile);
-      break;
-      case 'mp3':
-        color = 'list-blue-icons';
-        icon ='icon-audio';
-        label = $(this).find('a').attr('aria-label');
-        typeFile = " Archivo Mp3";
-        newLabel = label.concat(typeFile);
-      break;
-      case 'rar':
-        color = 'list-blue-icons';
-        icon ='icon-zip';
-        label = $(this).find('a').attr('aria-label');
-        typeFile = " Archivo Rar";
-        newLabel = label.concat(typeFile);
-      break;
-      case 'zip':
-        color = 'list-blue-icons';
-        icon ='icon-zip';
-        label = $(this).find('a').attr('aria-label');
-        typeFile = " Archivo Zip";
-        newLabel = label.concat(typeFile);
-      break;
-      default:
-        color = 'list-icons';
-        icon ='icon-pdf';
-        label = $(this).find('a').attr('aria-label');
-        typeFile = " Archivo Pdf";
-      break;
-    }
-    $(this).find('.media-left').addClass(color);
-    $(this).find('.icons-vdos').addClass(icon);
-    $(this).find('a').attr('aria-label', newLabel);
-  });
-  function fileExtension(file) {
-    return file.substr((file.lastIndexOf('.') +1)).toLowerCase();
-  }
+(function ($, Drupal) {
+
+  /**
+   * Adds the icon and the file type to the links of file blocks.
+   *
+   * A behavior, so file blocks rendered after the page loads (e.g. panels
+   * rendered on demand) get them too.
+   */
+  Drupal.behaviors.fileTypeIcons = {
+    attach: function (context) {
+      $(context).find('.media.accesibillity, .tabla-listado-archivos.file-link').each(function () {
+        var $link = $(this).find('a');
+        // Ya procesado.
+        if ($(this).data('fileType')) {
+          return;
+        }
+        var type = Drupal.fileTypes.lookup($link.attr('href'));
+        $(this).data('fileType', type);
+        // Añadimos al enlace la clase según la extensión
+        $link.addClass(type.extension);
+        // Añadimos color, tipo de icono y atributos aria
+        $(this).find('.media-left').removeClass('list-icons').addClass(type.color);
+        $(this).find('.icons-vdos').removeClass('icon-pdf').addClass(type.icon);
+        $link.attr('aria-label', $.trim(($link.attr('aria-label') || '') + ' ' + type.label));
+      });
+    }
+  };
 
-});
+})(jQuery, Drupal);
 ;
 /* ========================================================================
  * Bootstrap (plugin): validator.js v0.11.5
@@ -2786,6 +3716,11 @@ var Drupal = Drupal || {};
         autoClose: !!settings.popover_auto_close,
         enabled: settings.popover_enabled,
         html: !!settings.popover_html,
+        // HTML content is filtered by the allowlist of Bootstrap.htmlPolicy.
+        sanitize: true,
+        sanitizeFn: function (html) {
+          return Bootstrap.sanitizeHtml(html);
+        },
         placement: settings.popover_placement,
         selector: settings.popover_selector,
         trigger: settings.popover_trigger,
@@ -2936,6 +3871,11 @@ var Drupal = Drupal || {};
         animation: !!settings.tooltip_animation,
         enabled: settings.tooltip_enabled,
         html: !!settings.tooltip_html,
+        // HTML content is filtered by the allowlist of Bootstrap.htmlPolicy.
+        sanitize: true,
+        sanitizeFn: function (html) {
+          return Bootstrap.sanitizeHtml(html);
+        },
         placement: settings.tooltip_placement,
         selector: settings.tooltip_selector,
         trigger: settings.tooltip_trigger,
@@ -2977,3 +3917,302 @@ var Drupal = Drupal || {};
 
 })(window.jQuery, window.Drupal, window.Drupal.bootstrap);
 ;
+/**
+ * @file
+ * Bootstrap 5 data attributes.
+ *
+ * Maps the "data-bs-*" attributes of markup written for Bootstrap 5 onto the
+ * Bootstrap 3 collapse, tooltip, popover, tab, modal and carousel plugins, and
+ * dispatches their events as native DOM events, so listeners added with
+ * addEventListener() receive them too.
+ *
+ * This layer is meant for the pages of the site served by the Drupal
+ * Bootstrap 3 base theme, where this aggregate runs on top of the Bootstrap
+ * 3.4 plugins (js/bootstrap.min.js) and the markup of the applicability
+ * table, written for Bootstrap 5, has to work as is. Nothing is done when the
+ * loaded plugins already are Bootstrap 5, e.g. in the standalone index.html,
+ * which loads the Bootstrap 5.3 bundle from its CDN.
+ */
+(function ($, Drupal, Bootstrap) {
+  'use strict';
+
+  /**
+   * The events triggered by the plugins, keyed by plugin.
+   *
+   * @type {Object<String,Array>}
+   */
+  var EVENTS = {
+    carousel: ['slide', 'slid'],
+    collapse: ['show', 'shown', 'hide', 'hidden'],
+    modal: ['show', 'shown', 'hide', 'hidden'],
+    popover: ['show', 'shown', 'hide', 'hidden', 'inserted'],
+    tab: ['show', 'shown', 'hide', 'hidden'],
+    tooltip: ['show', 'shown', 'hide', 'hidden', 'inserted']
+  };
+
+  /**
+   * The properties copied from the plugin events to the native ones.
+   *
+   * @type {Array}
+   */
+  var EVENT_PROPERTIES = ['relatedTarget', 'direction', 'from', 'to'];
+
+  /**
+   * Checks whether the loaded plugins are the Bootstrap 3 ones.
+   *
+   * @return {Boolean}
+   *   TRUE if the data attributes have to be mapped.
+   */
+  var legacy = function () {
+    var collapse = $.fn.collapse && $.fn.collapse.Constructor;
+    return !!collapse && /^3\./.test(collapse.VERSION || '');
+  };
+
+  /**
+   * Reads the plugin options of an element.
+   *
+   * @param {Element|jQuery} element
+   *   The element.
+   *
+   * @return {Object}
+   *   The values of its "data-bs-*" attributes, keyed by option name, e.g.
+   *   "data-bs-placement" as "placement".
+   */
+  Bootstrap.dataOptions = function (element) {
+    var options = {};
+    $.each($(element).data(), function (key, value) {
+      if (/^bs[A-Z]/.test(key)) {
+        options[key.charAt(2).toLowerCase() + key.slice(3)] = value;
+      }
+    });
+    return options;
+  };
+
+  /**
+   * Finds the elements a trigger points to.
+   *
+   * @param {Element} trigger
+   *   The element with a "data-bs-target" or "href" attribute.
+   *
+   * @return {jQuery}
+   *   The targets, empty if the selector isn't valid.
+   */
+  var targets = function (trigger) {
+    var selector = trigger.getAttribute('data-bs-target');
+    if (!selector || selector === '#') {
+      selector = trigger.getAttribute('href') || '';
+      selector = /#[^\s]+$/.test(selector) ? selector.replace(/.*(?=#[^\s]+$)/, '') : '';
+    }
+    if (!selector) {
+      return $();
+    }
+    try {
+      return $(document).find(selector);
+    }
+    catch (e) {
+      Bootstrap.warn('Invalid data-bs-target selector: @selector', {'@selector': selector});
+      return $();
+    }
+  };
+
+  /**
+   * Dispatches a plugin event as a native DOM event.
+   *
+   * @param {jQuery.Event} e
+   *   The event triggered by the plugin.
+   */
+  var dispatch = function (e) {
+    var event;
+    var type = e.type + '.' + e.namespace;
+    if (typeof window.CustomEvent === 'function') {
+      event = new window.CustomEvent(type, {bubbles: true, cancelable: true});
+    }
+    else {
+      event = document.createEvent('CustomEvent');
+      event.initCustomEvent(type, true, true, null);
+    }
+    for (var i = 0; i < EVENT_PROPERTIES.length; i++) {
+      if (e[EVENT_PROPERTIES[i]] !== void 0) {
+        event[EVENT_PROPERTIES[i]] = e[EVENT_PROPERTIES[i]];
+      }
+    }
+    if (!e.target.dispatchEvent(event)) {
+      e.preventDefault();
+    }
+  };
+
+  /**
+   * Updates the collapse triggers pointing to a collapse element.
+   *
+   * The triggers pointing to the id of the element are matched by their
+   * attributes, so only those using another selector (e.g. a class) are
+   * resolved as selectors.
+   *
+   * @param {Element} element
+   *   The ".collapse" element.
+   * @param {Boolean} expanded
+   *   Whether the element is being shown.
+   */
+  var updateTriggers = function (element, expanded) {
+    var matching = [];
+    var id = element.id && '#' + element.id;
+    $.each(document.querySelectorAll('[data-bs-toggle="collapse"]'), function () {
+      var target = this.getAttribute('data-bs-target');
+      if (target && target !== '#') {
+        // A single id is compared as is, any other selector is resolved.
+        if (/^#[\w-]+$/.test(target) ? target === id : targets(this).is(element)) {
+          matching.push(this);
+        }
+      }
+      else if (id && (this.getAttribute('href') || '').slice(-id.length) === id) {
+        matching.push(this);
+      }
+    });
+    $(matching)
+      .toggleClass('collapsed', !expanded)
+      .attr('aria-expanded', expanded ? 'true' : 'false');
+  };
+
+  /**
+   * Hides the open collapse elements sharing the parent of one being shown.
+   *
+   * As in Bootstrap 5, only the first level ".collapse" elements of the
+   * "data-bs-parent" element are hidden, not those nested in them.
+   *
+   * @param {Element} element
+   *   The ".collapse" element being shown.
+   */
+  var hideSiblings = function (element) {
+    var parent = $(element).attr('data-bs-parent');
+    var $parent = parent ? $(document).find(parent) : $();
+    if (!$parent.length) {
+      return;
+    }
+    var $nested = $parent.find('.collapse .collapse');
+    $parent.find('.collapse.in, .collapse.collapsing').not($nested).not(element).collapse('hide');
+  };
+
+  /**
+   * Maps the "data-bs-*" attributes onto the Bootstrap 3 plugins.
+   */
+  Drupal.behaviors.bootstrapDataApi = {
+    attach: function (context) {
+      if (!legacy()) {
+        return;
+      }
+
+      Bootstrap.once('bootstrapDataApi', function () {
+        var $document = $(document);
+
+        $.each(EVENTS, function (plugin, events) {
+          $document.on($.map(events, function (event) {
+            return event + '.bs.' + plugin;
+          }).join(' '), dispatch);
+        });
+
+        $document
+          .on('show.bs.collapse hide.bs.collapse', function (e) {
+            if (e.isDefaultPrevented()) {
+              return;
+            }
+            if (e.type === 'show') {
+              hideSiblings(e.target);
+            }
+            updateTriggers(e.target, e.type === 'show');
+          })
+          .on('click.bs.collapse.data-api', '[data-bs-toggle="collapse"]', function (e) {
+            if (this.tagName === 'A') {
+              e.preventDefault();
+            }
+            targets(this).each(function () {
+              $(this).collapse($(this).data('bs.collapse') ? 'toggle' : {});
+            });
+          })
+          .on('click.bs.tab.data-api', '[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]', function (e) {
+            var $this = $(this);
+            e.preventDefault();
+            // The tab plugin reads its target from the data of the trigger.
+            if (!$this.data('target') && $this.attr('data-bs-target')) {
+              $this.data('target', $this.attr('data-bs-target'));
+            }
+            $this.tab('show');
+          })
+          .on('click.bs.modal.data-api', '[data-bs-toggle="modal"]', function (e) {
+            var $this = $(this);
+            var $target = targets(this).first();
+            if ($this.is('a')) {
+              e.preventDefault();
+            }
+            $target.one('show.bs.modal', function (showEvent) {
+              if (!showEvent.isDefaultPrevented()) {
+                $target.one('hidden.bs.modal', function () {
+                  if ($this.is(':visible')) {
+                    $this.trigger('focus');
+                  }
+                });
+              }
+            });
+            $target.modal($target.data('bs.modal') ? 'toggle' : $.extend({}, Bootstrap.dataOptions($target), Bootstrap.dataOptions($this)), this);
+          })
+          .on('click.dismiss.bs.modal.data-api', '[data-bs-dismiss="modal"]', function (e) {
+            e.preventDefault();
+            $(this).closest('.modal').modal('hide');
+          })
+          .on('click.bs.carousel.data-api', '[data-bs-slide], [data-bs-slide-to]', function (e) {
+            var $this = $(this);
+            var $target = targets(this).first();
+            if (!$target.hasClass('carousel')) {
+              return;
+            }
+            var options = $.extend({}, Bootstrap.dataOptions($target), Bootstrap.dataOptions($this));
+            var index = $this.attr('data-bs-slide-to');
+            if (index) {
+              options.interval = false;
+            }
+            $target.carousel(options);
+            if (index) {
+              $target.data('bs.carousel').to(index);
+            }
+            e.preventDefault();
+          });
+      });
+
+      $(context).find('[data-bs-ride="carousel"]').addBack('[data-bs-ride="carousel"]').each(function () {
+        var $carousel = $(this);
+        if (!$carousel.data('bs.carousel')) {
+          var options = Bootstrap.dataOptions($carousel);
+          $carousel.carousel($.extend({}, options, {interval: false}));
+          Bootstrap.autoplay($carousel, !Bootstrap.reducedMotion(), options.interval === void 0 ? $.fn.carousel.Constructor.DEFAULTS.interval : options.interval);
+        }
+      });
+
+      // Collapse elements rendered open.
+      $(context).find('.collapse.in').addBack('.collapse.in').each(function () {
+        updateTriggers(this, true);
+      });
+
+      $.each(['tooltip', 'popover'], function (i, plugin) {
+        if (!$.fn[plugin] || !$.fn[plugin].Constructor.DEFAULTS.enabled) {
+          return;
+        }
+        $(context).find('[data-bs-toggle="' + plugin + '"]').each(function () {
+          var $element = $(this);
+          $element[plugin]($.extend({}, $.fn[plugin].Constructor.DEFAULTS, $element.data(), Bootstrap.dataOptions($element)));
+        });
+      });
+    },
+    detach: function (context, settings, trigger) {
+      if (trigger !== 'unload' || !legacy()) {
+        return;
+      }
+      $.each(['tooltip', 'popover'], function (i, plugin) {
+        var selector = '[data-bs-toggle="' + plugin + '"]';
+        if ($.fn[plugin] && $.fn[plugin].Constructor.DEFAULTS.enabled) {
+          $(context).find(selector).addBack(selector)[plugin]('destroy');
+        }
+      });
+    }
+  };
+
+})(window.jQuery, window.Drupal, window.Drupal.bootstrap);
+;
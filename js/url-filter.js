@@ -0,0 +1,66 @@
+/**
+ * @file
+ * Filter of the URLs rendered by the applicability table templates.
+ *
+ * The same filter as Drupal.bootstrap.sanitizeUrl() of the theme, without
+ * dependencies, so the build scripts require it from Node and the panels they
+ * render and those rendered on demand link to the same URLs.
+ */
+(function (root, factory) {
+  'use strict';
+
+  var api = factory();
+
+  // Node (build scripts).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  // Browser.
+  root.Drupal = root.Drupal || {};
+  root.Drupal.urlFilter = api;
+
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /**
+   * The schemes of the URLs kept as they are.
+   *
+   * @type {RegExp}
+   */
+  var ALLOWED_SCHEMES = /^(https?|mailto|tel)$/i;
+
+  /**
+   * Filters a URL so it can't run script when followed.
+   *
+   * Only relative URLs and the http, https, mailto and tel schemes are kept.
+   * The value still has to be escaped to be output.
+   *
+   * @param {String} url
+   *   The URL to filter.
+   *
+   * @return {String}
+   *   The URL, or "#" if its scheme isn't allowed.
+   */
+  var sanitize = function (url) {
+    url = String(url === null || url === void 0 ? '' : url).trim();
+    // Character references are decoded in case the URL ends up in markup
+    // unescaped, and browsers ignore control characters and whitespace within
+    // the scheme.
+    var decoded = url.replace(/&(#x[0-9a-f]+|#\d+|colon|tab|newline);?/gi, function (match, entity) {
+      entity = entity.toLowerCase();
+      if (entity.charAt(0) !== '#') {
+        return {colon: ':', tab: '\t', newline: '\n'}[entity];
+      }
+      return String.fromCharCode(entity.charAt(1) === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    });
+    var scheme = /^([^\/?#]*?):/.exec(decoded.replace(/[\u0000-\u0020]/g, ''));
+    return scheme && !ALLOWED_SCHEMES.test(scheme[1]) ? '#' : url;
+  };
+
+  return {
+    ALLOWED_SCHEMES: ALLOWED_SCHEMES,
+    sanitize: sanitize
+  };
+});
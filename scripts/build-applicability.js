@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * @file
+ * Builds the applicability table accordions from a data file, and back.
+ *
+ * Usage:
+ *   node scripts/build-applicability.js extract [--format=json|csv] [page.html]
+ *   node scripts/build-applicability.js render [--page=index.html] [--write] [--lazy] data.json|data.csv
+ *
+ * "extract" prints the articles and records of a page (defaults to
+ * index.html) in the JSON format downloaded from the table, or as CSV.
+ *
+ * "render" prints the accordions of a data file. JSON files are the ones
+ * written by "extract" or downloaded from the table. CSV files have one
+ * record per row and a header with the labels of the downloaded CSV
+ * ("Artículo", "Fracción", "Denominación de la información", "Enlace"...),
+ * plus optional "Título" and "Id" columns; the title, description and notes
+ * (the blocks without a fracción) of the articles are then taken from the
+ * page. CSV holds one value per known field,
+ * so unlabelled rows (e.g. "último párrafo del Artículo 70") and repeated
+ * ones (e.g. a second "Observaciones") are dropped: use JSON to keep every
+ * row of a page.
+ *
+ * With --write, the accordions of the page are replaced in place. With
+ * --lazy, the panels are left empty and their rows shipped as a JSON payload,
+ * rendered when first opened by js/applicability.lazy.js.
+ *
+ * Exits with status 1 on invalid usage or data, 2 when a file can't be read.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var applicability = require('../js/applicability');
+var accordion = require('./lib/accordion');
+var csv = require('./lib/csv');
+var html = require('./lib/html');
+
+/**
+ * Columns of the CSV files, keyed by the normalized header.
+ *
+ * Known fields are matched through applicability.fieldKey() instead.
+ *
+ * @type {Object<string,string>}
+ */
+var COLUMNS = {
+  'articulo': 'article',
+  'enlace': 'link',
+  'titulo': 'title',
+  'id': 'id'
+};
+
+/**
+ * Prints an error and exits.
+ *
+ * @param {String} message
+ *   The error message.
+ * @param {Number} [status=1]
+ *   The exit status.
+ */
+var fail = function (message, status) {
+  console.error(message);
+  process.exit(status || 1);
+};
+
+/**
+ * Reads a file.
+ *
+ * @param {String} file
+ *   The path of the file.
+ *
+ * @return {String}
+ *   The contents of the file.
+ */
+var read = function (file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  }
+  catch (e) {
+    return fail(file + ': ' + e.message, 2);
+  }
+};
+
+/**
+ * Finds the article accordions of a page.
+ *
+ * @param {Element} root
+ *   The document returned by html.parse().
+ *
+ * @return {Element[]}
+ *   The ".acc-normativa" wrappers, in document order.
+ */
+var wrappers = function (root) {
+  return applicability.util.findAll(root, function (el) {
+    return applicability.util.hasClass(el, 'acc-normativa');
+  }, true);
+};
+
+/**
+ * Builds the data of the articles out of CSV rows.
+ *
+ * @param {Array<String[]>} rows
+ *   The rows, the first one being the header.
+ * @param {Object[]} articles
+ *   The articles of the page, used for their title, description and notes.
+ *
+ * @return {{articles: Object[]}}
+ *   The data.
+ */
+var fromCSV = function (rows, articles) {
+  var keys = (rows.shift() || []).map(function (label) {
+    return applicability.fieldKey(label) || COLUMNS[applicability.normalize(label)] || null;
+  });
+  ['article', 'denominacion'].forEach(function (key) {
+    if (keys.indexOf(key) === -1) {
+      fail('The CSV file has no "' + (key === 'article' ? 'Artículo' : 'Denominación de la información') + '" column.');
+    }
+  });
+
+  var data = {articles: []};
+  var byNumber = {};
+  rows.forEach(function (row, i) {
+    var record = {};
+    keys.forEach(function (key, j) {
+      // Downloaded files prefix values starting with a formula character.
+      var value = (row[j] || '').replace(/^'(?=[=+\-@\t\r])/, '');
+      if (key && value) {
+        record[key] = value;
+      }
+    });
+
+    var number = parseInt(record.article, 10);
+    if (!applicability.ARTICLES[number]) {
+      fail('Row ' + (i + 2) + ': unknown article "' + (record.article || '') + '".');
+    }
+    record.title = record.title || record.denominacion;
+
+    if (!byNumber[number]) {
+      var page = articles.filter(function (article) {
+        return article.number === number;
+      })[0];
+      byNumber[number] = {
+        number: number,
+        id: applicability.ARTICLES[number],
+        title: page ? page.title : 'Artículo ' + number + ' de la Ley General de Transparencia y Acceso a la Información Pública',
+        description: page ? page.description : '',
+        records: [],
+        notes: page ? page.notes : []
+      };
+      data.articles.push(byNumber[number]);
+    }
+    delete record.article;
+    byNumber[number].records.push(record);
+  });
+
+  data.articles.sort(function (a, b) {
+    return a.number - b.number;
+  });
+  return data;
+};
+
+/**
+ * Converts the data of the articles into CSV rows.
+ *
+ * @param {{articles: Object[]}} data
+ *   The data.
+ *
+ * @return {Array<String[]>}
+ *   The rows, the first one being the header.
+ */
+var toCSV = function (data) {
+  var columns = ['article', 'id', 'title'].concat(applicability.FIELDS.map(function (field) {
+    return field.key;
+  }));
+  columns.splice(columns.indexOf('denominacion') + 1, 0, 'link');
+
+  var labels = {article: 'Artículo', id: 'Id', title: 'Título', link: 'Enlace'};
+  applicability.FIELDS.forEach(function (field) {
+    labels[field.key] = field.label;
+  });
+
+  var rows = [columns.map(function (key) {
+    return labels[key];
+  })];
+  data.articles.forEach(function (article) {
+    article.records.forEach(function (record) {
+      rows.push(columns.map(function (key) {
+        var value = key === 'article' ? article.number : record[key];
+        return value && typeof value === 'object' ? value.label : value;
+      }));
+    });
+  });
+  return rows;
+};
+
+var args = process.argv.slice(2);
+var command = args.shift();
+var options = {};
+var files = [];
+args.forEach(function (arg) {
+  var match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+  if (match) {
+    options[match[1]] = match[2] === void 0 ? true : match[2];
+  }
+  else {
+    files.push(arg);
+  }
+});
+
+var index = path.join(__dirname, '..', 'index.html');
+
+if (command === 'extract') {
+  var format = options.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    fail('Unknown format "' + format + '", use json or csv.');
+  }
+  var model = applicability.toJSON(applicability.parse(html.parse(read(files[0] || index))));
+  process.stdout.write(format === 'csv' ? csv.stringify(toCSV(model)) : JSON.stringify(model, null, 2) + '\n');
+}
+else if (command === 'render' && files.length === 1) {
+  var file = files[0];
+  var target = typeof options.page === 'string' ? options.page : index;
+  var source = options.write || /\.csv$/i.test(file) ? read(target) : '';
+  var root = html.parse(source);
+  var data;
+
+  if (/\.csv$/i.test(file)) {
+    data = fromCSV(csv.parse(read(file)), applicability.toJSON(applicability.parse(root)).articles);
+  }
+  else {
+    try {
+      data = JSON.parse(read(file));
+    }
+    catch (e) {
+      fail(file + ': ' + e.message);
+    }
+  }
+  if (!data || !Array.isArray(data.articles)) {
+    fail(file + ': no articles found.');
+  }
+
+  var markup = accordion.render(data, {lazy: !!options.lazy});
+  if (!options.write) {
+    process.stdout.write(markup + '\n');
+  }
+  else {
+    var existing = wrappers(root);
+    if (!existing.length) {
+      fail(target + ': no accordions to replace.');
+    }
+    var start = existing[0].start;
+    var end = existing[existing.length - 1].end;
+    // The payload of a previous --lazy build follows the accordions.
+    var previous = applicability.util.byId(root, 'applicability-data');
+    if (previous && previous.start >= end && !source.slice(end, previous.start).trim()) {
+      end = previous.end;
+    }
+    fs.writeFileSync(target, source.slice(0, start) + markup + source.slice(end));
+    console.log(target + ': ' + data.articles.length + ' articles rendered.');
+  }
+}
+else {
+  fail('Usage:\n  node scripts/build-applicability.js extract [--format=json|csv] [page.html]\n  node scripts/build-applicability.js render [--page=index.html] [--write] [--lazy] data.json|data.csv\n\nCSV keeps one value per known field: unlabelled and repeated rows are dropped,\nuse JSON to keep every row.');
+}
@@ -0,0 +1,198 @@
+/**
+ * @file
+ * Templates of the applicability table accordions, see
+ * scripts/build-applicability.js.
+ *
+ * The markup mirrors the hand-written one of index.html so the scripts in
+ * js/ keep working: the same Bootstrap classes, toggles pointing to their
+ * panel through "data-bs-target" and "aria-controls", and links to documents
+ * using the "media accesibillity" block with the icon and label of their file
+ * type (as composeLink() does, see js/file-types.js). The body of the panels
+ * comes from js/applicability.templates.js.
+ */
+'use strict';
+
+var applicability = require('../../js/applicability.js');
+var templates = require('../../js/applicability.templates.js');
+
+var escape = templates.escape;
+var indent = templates.indent;
+
+/**
+ * Ordinals used in the comment that precedes every accordion.
+ *
+ * @type {String[]}
+ */
+var ORDINALS = ['Primer', 'Segundo', 'Tercer', 'Cuarto', 'Quinto', 'Sexto'];
+
+/**
+ * Renders an HTML comment.
+ *
+ * @param {String} str
+ *   The text of the comment.
+ *
+ * @return {String}
+ *   The comment, with any "--" that would end it early removed.
+ */
+var comment = function (str) {
+  return '<!--' + String(str).replace(/-{2,}/g, '-').replace(/-$/, '') + '-->';
+};
+
+/**
+ * Renders a record: its heading, its toggle and its panel.
+ *
+ * @param {Object} record
+ *   The record, with an "id" for its panel.
+ * @param {Boolean} lazy
+ *   Whether to leave the panel empty, to be rendered on demand from the
+ *   payload.
+ *
+ * @return {String[]}
+ *   The lines.
+ */
+var renderRecord = function (record, lazy) {
+  var id = escape(record.id);
+
+  return [
+    '<div class="row mt-2">' + comment(record.title),
+    '  <div class="col-12 menu-contenedor">',
+    '    <div class="col-12 d-flex w-100 borde context">',
+    '      <div class="col-11">',
+    '        <h2 class="applicability-record-title">' + escape(record.title),
+    '        </h2>',
+    '      </div>',
+    '      <div class="col-1 d-flex justify-content-end">',
+    '        <button aria-controls="' + id + '" aria-expanded="false" class="btn d-flex menu align-self-center links btn-outline-primary" data-bs-target="#' + id + '" data-bs-toggle="collapse" type="button"><em class="icons-vdos-circulo icon-mas-simbolo-circulo font-1-5-size"><span class="d-none">&nbsp; </span> </em>',
+    '        </button>',
+    '      </div>',
+    '    </div>'
+  ].concat(lazy ? [
+    '    <div class="collapse applicability-record-panel" data-applicability-lazy id="' + id + '"></div>'
+  ] : ['    <div class="collapse applicability-record-panel" id="' + id + '">'].concat(indent(templates.body(record), 6), ['    </div>']), [
+    '  </div>',
+    '</div>'
+  ]);
+};
+
+/**
+ * Lists the blocks of an article.
+ *
+ * @param {Object} article
+ *   The article, with its "records" and, optionally, its "notes".
+ *
+ * @return {Object[]}
+ *   The records, followed by the notes (the blocks without a fracción).
+ */
+var blocks = function (article) {
+  return article.records.concat(article.notes || []);
+};
+
+/**
+ * Renders an article accordion.
+ *
+ * @param {Object} article
+ *   The article, with its "number", "title", "description", "records" and
+ *   "notes".
+ * @param {Number} index
+ *   The position of the article in the page.
+ * @param {Boolean} lazy
+ *   Whether to leave the panels empty.
+ *
+ * @return {String[]}
+ *   The lines.
+ */
+var renderArticle = function (article, index, lazy) {
+  var id = article.id || applicability.ARTICLES[article.number];
+  var lines = [];
+  blocks(article).forEach(function (data) {
+    lines = lines.concat(renderRecord(data, lazy));
+  });
+
+  return [
+    '<div class="acc-normativa accordion" id="accordionExample' + (index ? index : '') + '">' + comment(' ' + (ORDINALS[index] || (index + 1) + '.º') + ' acordeón '),
+    '  <div class="collapse" data-bs-parent="#accordionExample" id="' + escape(id) + '">',
+    '    <div class="card card-body border-white">',
+    '      <div class="container mt-5">' + comment('descripción art ' + article.number),
+    '        <div class="row mt-5">',
+    '          <div class="col-12">',
+    '            <h2>' + escape(article.title),
+    '            </h2>',
+    '            <strong class="text-primary">' + escape(article.description) + '</strong>',
+    '            <hr class="mt-0" />',
+    '          </div>',
+    '        </div>',
+    '        ' + comment('Inicio de art ' + article.number)
+  ].concat(indent(lines, 8), [
+    '      </div>',
+    '    </div>',
+    '  </div>',
+    '</div>'
+  ]);
+};
+
+/**
+ * Builds the payload of the panels rendered on demand.
+ *
+ * @param {{articles: Object[]}} data
+ *   The articles and their records.
+ *
+ * @return {String}
+ *   The <script> element holding the payload, see js/applicability.js.
+ */
+var renderPayload = function (data) {
+  var payload = {records: {}};
+  data.articles.forEach(function (article) {
+    blocks(article).forEach(function (record) {
+      payload.records[record.id] = {
+        link: record.link || null,
+        fields: templates.rows(record).map(function (row) {
+          return {label: row.label, value: row.value};
+        })
+      };
+    });
+  });
+  // Never let the data close the script element.
+  return '<script type="application/json" id="applicability-data">' + JSON.stringify(payload).replace(/</g, '\\u003c') + '</script>';
+};
+
+/**
+ * Renders the article accordions.
+ *
+ * Records without an "id" get the next free "collapseExampleN".
+ *
+ * @param {{articles: Object[]}} data
+ *   The articles and their records.
+ * @param {Object} [options]
+ *   - lazy: (Boolean) Whether to leave the panels empty and append their
+ *     rows as a JSON payload, for js/applicability.lazy.js to render them on
+ *     demand.
+ *
+ * @return {String}
+ *   The markup, indented to sit in the body of index.html.
+ */
+var render = function (data, options) {
+  var lazy = !!(options && options.lazy);
+  var last = 0;
+  data.articles.forEach(function (article) {
+    blocks(article).forEach(function (record) {
+      var match = /^collapseExample(\d+)$/.exec(record.id || '');
+      last = match ? Math.max(last, parseInt(match[1], 10)) : last;
+    });
+  });
+
+  var lines = [];
+  data.articles.forEach(function (article, index) {
+    blocks(article).forEach(function (record) {
+      record.id = record.id || 'collapseExample' + (++last);
+    });
+    lines = lines.concat(renderArticle(article, index, lazy));
+  });
+  if (lazy) {
+    lines.push(renderPayload(data));
+  }
+  return indent(lines, 2).join('\n').replace(/^ {2}/, '');
+};
+
+module.exports = {
+  render: render
+};
@@ -0,0 +1,100 @@
+/**
+ * @file
+ * CSV (RFC 4180) reader and writer for the Node scripts.
+ *
+ * Matches the documents downloaded from the applicability table (see
+ * js/applicability.export.js): a byte order mark, comma separated values and
+ * CRLF line endings.
+ */
+'use strict';
+
+/**
+ * Parses a CSV document.
+ *
+ * @param {String} text
+ *   The CSV document.
+ *
+ * @return {Array<String[]>}
+ *   The rows, each one an array of cell values. Blank lines are skipped.
+ */
+var parse = function (text) {
+  var rows = [];
+  var row = [];
+  var value = '';
+  var quoted = false;
+
+  text = text.replace(/^\uFEFF/, '');
+
+  var push = function () {
+    row.push(value);
+    value = '';
+  };
+
+  for (var i = 0; i < text.length; i++) {
+    var c = text.charAt(i);
+    if (quoted) {
+      if (c === '"' && text.charAt(i + 1) === '"') {
+        value += '"';
+        i++;
+      }
+      else if (c === '"') {
+        quoted = false;
+      }
+      else {
+        value += c;
+      }
+    }
+    else if (c === '"') {
+      quoted = true;
+    }
+    else if (c === ',') {
+      push();
+    }
+    else if (c === '\r' || c === '\n') {
+      if (c === '\r' && text.charAt(i + 1) === '\n') {
+        i++;
+      }
+      push();
+      if (row.length > 1 || row[0] !== '') {
+        rows.push(row);
+      }
+      row = [];
+    }
+    else {
+      value += c;
+    }
+  }
+
+  if (value !== '' || row.length) {
+    push();
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Serializes rows as a CSV document.
+ *
+ * Values starting with a formula character are prefixed with a quote so
+ * spreadsheet applications never evaluate them.
+ *
+ * @param {Array<String[]>} rows
+ *   The rows, each one an array of cell values.
+ *
+ * @return {String}
+ *   The CSV document.
+ */
+var stringify = function (rows) {
+  return '\uFEFF' + rows.map(function (row) {
+    return row.map(function (value) {
+      value = String(value === null || value === void 0 ? '' : value);
+      value = /^[=+\-@\t\r]/.test(value) ? '\'' + value : value;
+      return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    }).join(',');
+  }).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parse: parse,
+  stringify: stringify
+};
@@ -0,0 +1,188 @@
+/**
+ * @file
+ * Minimal, dependency free HTML tree builder for the Node scripts.
+ *
+ * This is not a spec compliant parser. It builds just enough of a DOM-like
+ * tree ("tagName", "children", "getAttribute", "textContent") for the
+ * applicability model in js/applicability.js to run against index.html, and
+ * remembers the source line of every element so problems can be reported
+ * with their location.
+ */
+'use strict';
+
+var VOID = /^(area|base|br|col|embed|hr|img|input|link|meta|param|source|track|wbr)$/;
+var RAW = /^(script|style|textarea|title)$/;
+
+var ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+/**
+ * Decodes the HTML entities used in the published pages.
+ *
+ * @param {String} str
+ *   The encoded string.
+ *
+ * @return {String}
+ *   The decoded string.
+ */
+var decode = function (str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function (match, entity) {
+    if (entity.charAt(0) === '#') {
+      return String.fromCharCode(entity.charAt(1).toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return ENTITIES.hasOwnProperty(entity.toLowerCase()) ? ENTITIES[entity.toLowerCase()] : match;
+  });
+};
+
+/**
+ * @class Element
+ *
+ * An element of the tree.
+ *
+ * Besides its line, every element remembers the offsets where it starts and
+ * ends in the source ("start" and "end"), so the source can be edited in
+ * place.
+ *
+ * @param {String} tagName
+ *   The upper-cased tag name.
+ * @param {Object} attributes
+ *   The decoded attributes, keyed by lower-cased name.
+ * @param {Number} line
+ *   The line of the source where the element starts.
+ * @param {Number} start
+ *   The offset of the source where the element starts.
+ */
+var Element = function (tagName, attributes, line, start) {
+  this.tagName = tagName;
+  this.attributes = attributes;
+  this.line = line;
+  this.start = start;
+  this.end = start;
+  this.children = [];
+  this.childNodes = [];
+  this.parentNode = null;
+};
+
+Element.prototype.getAttribute = function (name) {
+  return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+};
+
+Element.prototype.hasAttribute = function (name) {
+  return this.attributes.hasOwnProperty(name);
+};
+
+Object.defineProperty(Element.prototype, 'textContent', {
+  get: function () {
+    return this.childNodes.map(function (node) {
+      return typeof node === 'string' ? node : node.textContent;
+    }).join('');
+  }
+});
+
+/**
+ * Parses the attributes of a start tag.
+ *
+ * @param {String} source
+ *   The source of the tag, without the tag name and brackets.
+ *
+ * @return {Object}
+ *   The attributes.
+ */
+var parseAttributes = function (source) {
+  var attributes = {};
+  var pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  var match;
+  while ((match = pattern.exec(source))) {
+    var value = match[2] !== void 0 ? match[2] : match[3] !== void 0 ? match[3] : match[4] !== void 0 ? match[4] : '';
+    attributes[match[1].toLowerCase()] = decode(value);
+  }
+  return attributes;
+};
+
+/**
+ * Parses an HTML string.
+ *
+ * @param {String} html
+ *   The HTML source.
+ *
+ * @return {Element}
+ *   A root element (tag name "#document") holding the parsed tree.
+ */
+var parse = function (html) {
+  var root = new Element('#document', {}, 1, 0);
+  var stack = [root];
+  var line = 1;
+  var pos = 0;
+  var pattern = /<!--[\s\S]*?-->|<!\[[\s\S]*?\]>|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+  var match;
+
+  var current = function () {
+    return stack[stack.length - 1];
+  };
+
+  var text = function (str) {
+    if (str) {
+      current().childNodes.push(decode(str));
+    }
+  };
+
+  while ((match = pattern.exec(html))) {
+    text(html.slice(pos, match.index));
+    line += (html.slice(pos, match.index).match(/\n/g) || []).length;
+    pos = pattern.lastIndex;
+
+    if (match[1]) {
+      // End tag: close up to the matching element, ignoring stray end tags.
+      var name = match[1].toUpperCase();
+      for (var i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tagName === name) {
+          // Elements left open end where their parent does.
+          for (var j = stack.length - 1; j >= i; j--) {
+            stack[j].end = j === i ? pattern.lastIndex : match.index;
+          }
+          stack.length = i;
+          break;
+        }
+      }
+    }
+    else if (match[2]) {
+      var element = new Element(match[2].toUpperCase(), parseAttributes(match[3] || ''), line, match.index);
+      element.end = pattern.lastIndex;
+      element.parentNode = current();
+      current().children.push(element);
+      current().childNodes.push(element);
+
+      if (RAW.test(match[2].toLowerCase())) {
+        var end = html.toLowerCase().indexOf('</' + match[2].toLowerCase(), pos);
+        end = end === -1 ? html.length : end;
+        element.childNodes.push(html.slice(pos, end));
+        line += (html.slice(pos, end).match(/\n/g) || []).length;
+        pattern.lastIndex = pos = end;
+        element.end = html.indexOf('>', end) === -1 ? html.length : html.indexOf('>', end) + 1;
+      }
+      else if (!match[4] && !VOID.test(match[2].toLowerCase())) {
+        stack.push(element);
+      }
+    }
+
+    line += (match[0].match(/\n/g) || []).length;
+  }
+  text(html.slice(pos));
+  stack.forEach(function (element) {
+    element.end = html.length;
+  });
+
+  return root;
+};
+
+module.exports = {
+  Element: Element,
+  decode: decode,
+  parse: parse
+};
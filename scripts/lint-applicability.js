@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * @file
+ * Lints the applicability table records of one or more pages.
+ *
+ * Usage: node scripts/lint-applicability.js [--json] [file.html ...]
+ *
+ * Defaults to index.html. Problems are printed as "file:line: severity
+ * [rule] message (record)" and the command exits with status 1 when an error
+ * is found, 2 when a file can't be read.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var html = require('./lib/html');
+var lint = require('../js/applicability.lint');
+
+var args = process.argv.slice(2);
+var json = args.indexOf('--json') !== -1;
+var files = args.filter(function (arg) {
+  return arg.indexOf('--') !== 0;
+});
+if (!files.length) {
+  files = [path.join(__dirname, '..', 'index.html')];
+}
+
+var status = 0;
+var report = {};
+
+files.forEach(function (file) {
+  var source;
+  try {
+    source = fs.readFileSync(file, 'utf8');
+  }
+  catch (e) {
+    console.error(file + ': ' + e.message);
+    status = 2;
+    return;
+  }
+
+  var problems = lint.lint(html.parse(source)).problems;
+  var name = path.relative(process.cwd(), file) || file;
+  report[name] = problems;
+
+  problems.forEach(function (problem) {
+    if (problem.severity === 'error' && !status) {
+      status = 1;
+    }
+    if (!json) {
+      console.log(name + ':' + (problem.location.line || 0) + ': ' + problem.severity + ' [' + problem.rule + '] ' + problem.message + (problem.record ? ' (' + problem.record + ')' : ''));
+    }
+  });
+
+  if (!json) {
+    var errors = problems.filter(function (problem) {
+      return problem.severity === 'error';
+    }).length;
+    console.log(name + ': ' + errors + ' errors, ' + (problems.length - errors) + ' warnings');
+  }
+});
+
+if (json) {
+  console.log(JSON.stringify(report, null, 2));
+}
+process.exit(status);
@@ -0,0 +1,157 @@
+/**
+ * @file
+ * Tests the comparison of two versions of the applicability table.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var applicability = require('../js/applicability');
+var diff = require('../js/applicability.diff');
+var html = require('../scripts/lib/html');
+
+/**
+ * Builds a record.
+ *
+ * @param {Number} article
+ *   The article.
+ * @param {?String} roman
+ *   The roman numeral of the fracción, if any.
+ * @param {String} title
+ *   The title.
+ * @param {Object} [fields]
+ *   Other fields of the record.
+ *
+ * @return {Object}
+ *   The record.
+ */
+var record = function (article, roman, title, fields) {
+  return Object.assign({
+    article: article,
+    fraccion: roman ? {label: 'Fracción ' + roman, roman: roman} : null,
+    title: title,
+    slug: 'art' + article + (roman ? '-fr-' + roman.toLowerCase() : '') + '-' + applicability.slug(title)
+  }, fields);
+};
+
+test('diffs words, keeping whitespace', function () {
+  assert.deepStrictEqual(diff.words('Ejercicio en curso', 'Ejercicio en curso'), [
+    {type: 'equal', text: 'Ejercicio en curso'}
+  ]);
+  assert.deepStrictEqual(diff.words('Ejercicio en curso y ejercicio anterior', 'Ejercicio en curso y dos ejercicios anteriores'), [
+    {type: 'equal', text: 'Ejercicio en curso y '},
+    {type: 'delete', text: 'ejercicio'},
+    {type: 'insert', text: 'dos'},
+    {type: 'equal', text: ' '},
+    {type: 'delete', text: 'anterior'},
+    {type: 'insert', text: 'ejercicios anteriores'}
+  ]);
+  assert.deepStrictEqual(diff.words('', 'Trimestral'), [{type: 'insert', text: 'Trimestral'}]);
+  assert.deepStrictEqual(diff.words('Trimestral', null), [{type: 'delete', text: 'Trimestral'}]);
+  assert.deepStrictEqual(diff.words('', ''), []);
+});
+
+test('keeps the longest common subsequence of words', function () {
+  var ops = diff.words('a b c d e', 'a c d x e');
+  var equal = ops.filter(function (op) {
+    return op.type === 'equal';
+  }).map(function (op) {
+    return op.text;
+  }).join('');
+  assert.strictEqual(equal.replace(/\s+/g, ' ').trim(), 'a c d e');
+
+  // Both texts are rebuilt from the operations.
+  var before = ops.filter(function (op) {
+    return op.type !== 'insert';
+  });
+  var after = ops.filter(function (op) {
+    return op.type !== 'delete';
+  });
+  var join = function (list) {
+    return list.map(function (op) {
+      return op.text;
+    }).join('');
+  };
+  assert.strictEqual(join(before), 'a b c d e');
+  assert.strictEqual(join(after), 'a c d x e');
+});
+
+test('pairs records by slug, then unique fracción, then title', function () {
+  var same = record(70, 'I', 'Marco normativo');
+  var renamed = record(70, 'II', 'Estructura orgánica');
+  var shared = record(70, 'IX', 'Gastos de representación');
+  var moved = record(73, null, 'Versiones públicas');
+  var removed = record(77, 'III', 'Fideicomisos');
+
+  var before = [same, renamed, shared, record(70, 'IX', 'Viáticos'), moved, removed];
+  var after = [
+    record(70, 'I', 'Marco normativo'),
+    record(70, 'II', 'Estructura orgánica del sujeto obligado'),
+    record(70, 'IX', 'Gastos de representación'),
+    record(70, 'IX', 'Gastos de viaje'),
+    Object.assign(record(73, null, 'Versiones públicas'), {slug: 'art73-versiones-publicas-2'}),
+    record(77, 'IV', 'Mandatos')
+  ];
+
+  var pairs = diff.match(before, after);
+  var titles = pairs.map(function (pair) {
+    return [pair[0] && pair[0].title, pair[1] && pair[1].title];
+  });
+  assert.deepStrictEqual(titles, [
+    ['Marco normativo', 'Marco normativo'],
+    ['Estructura orgánica', 'Estructura orgánica del sujeto obligado'],
+    ['Gastos de representación', 'Gastos de representación'],
+    ['Viáticos', 'Gastos de viaje'],
+    ['Versiones públicas', 'Versiones públicas'],
+    [null, 'Mandatos'],
+    ['Fideicomisos', null]
+  ]);
+});
+
+test('compares the fields of the paired records', function () {
+  var before = [
+    record(70, 'I', 'Marco normativo', {actualizacion: 'Trimestral', link: '/a'}),
+    record(70, 'II', 'Estructura orgánica'),
+    record(73, 'I', 'Sentencias')
+  ];
+  var after = [
+    record(70, 'I', 'Marco normativo', {actualizacion: ' Anual ', link: '/a', conservacion: 'Información vigente'}),
+    record(70, 'II', 'Estructura orgánica'),
+    record(77, 'I', 'Fideicomisos')
+  ];
+
+  var result = diff.compare(before, after);
+  assert.deepStrictEqual(result.summary, {
+    70: {added: 0, removed: 0, modified: 1, unchanged: 1},
+    73: {added: 0, removed: 1, modified: 0, unchanged: 0},
+    77: {added: 1, removed: 0, modified: 0, unchanged: 0}
+  });
+  assert.strictEqual(result.changes.length, 3);
+
+  var modified = result.changes[0];
+  assert.strictEqual(modified.type, 'modified');
+  assert.deepStrictEqual(modified.fields, [
+    {key: 'actualizacion', label: 'Periodo de actualización', type: 'modified', before: 'Trimestral', after: 'Anual'},
+    {key: 'conservacion', label: 'Periodo de conservación de la información', type: 'added', before: '', after: 'Información vigente'}
+  ]);
+  assert.strictEqual(result.changes[1].type, 'added');
+  assert.strictEqual(result.changes[1].article, 77);
+  assert.strictEqual(result.changes[2].type, 'removed');
+  assert.strictEqual(result.changes[2].fields[0].key, 'title');
+  assert.strictEqual(result.changes[2].fields[0].type, 'removed');
+});
+
+test('finds no change between a page and its exported model', function () {
+  var model = applicability.parse(html.parse(fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8')));
+  var exported = JSON.parse(JSON.stringify(applicability.toJSON(model)));
+  var result = diff.compare(model, exported);
+
+  assert.deepStrictEqual(result.changes, []);
+  Object.keys(result.summary).forEach(function (article) {
+    assert.strictEqual(result.summary[article].unchanged, model.articles.filter(function (item) {
+      return String(item.number) === article;
+    })[0].records.length);
+  });
+});
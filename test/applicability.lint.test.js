@@ -0,0 +1,141 @@
+/**
+ * @file
+ * Tests the data-consistency checks of the applicability table.
+ *
+ * Each rule is run against a small page holding the obligations to check, in
+ * the markup of index.html.
+ */
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var html = require('../scripts/lib/html');
+var lint = require('../js/applicability.lint');
+
+/**
+ * The rows of a valid obligation.
+ *
+ * @type {Array<string[]>}
+ */
+var FIELDS = [
+  ['Fracción', 'Primera (I)'],
+  ['Denominación de la información', 'Normativa'],
+  ['Descripción de la información', 'Normativa aplicable.'],
+  ['Aplicabilidad para la Suprema Corte de Justicia de la Nación', 'Aplica'],
+  ['Periodo de actualización', 'Trimestral'],
+  ['Periodo de conservación de la información', 'Información vigente']
+];
+
+/**
+ * Renders an obligation.
+ *
+ * @param {Object} [options]
+ *   - title: The heading, NULL for none.
+ *   - id: The id of the panel.
+ *   - fields: The rows, as [label, value] pairs.
+ *   - toggle: Attributes of the button overriding the valid ones, NULL to
+ *     omit the button.
+ *
+ * @return {String}
+ *   The markup.
+ */
+var obligation = function (options) {
+  options = Object.assign({title: 'Normativa', id: 'collapseExample4', fields: FIELDS, toggle: {}}, options);
+  var attributes = Object.assign({
+    'class': 'btn menu',
+    'aria-controls': options.id,
+    'data-bs-target': '#' + options.id,
+    'data-bs-toggle': 'collapse'
+  }, options.toggle);
+
+  return [
+    '<div class="col-12 menu-contenedor">',
+    options.title === null ? '' : '  <div class="col-11"><h2>' + options.title + '</h2></div>',
+    options.toggle === null ? '' : '  <button type="button"' + Object.keys(attributes).map(function (name) {
+      return ' ' + name + '="' + attributes[name] + '"';
+    }).join('') + '></button>',
+    '  <div class="collapse" id="' + options.id + '"><div class="container-fluid">'
+  ].concat(options.fields.map(function (field) {
+    return '    <div class="row border-bottom"><div class="col-6"><strong class="text-primary">' + field[0] + '</strong></div><div class="col-6"><p>' + field[1] + '</p></div></div>';
+  }), [
+    '  </div></div>',
+    '</div>'
+  ]).join('\n');
+};
+
+/**
+ * Lints a page of the article 70 holding obligations.
+ *
+ * @param {String[]} obligations
+ *   The markup of the obligations.
+ *
+ * @return {String[]}
+ *   The problems, as "rule severity line" strings.
+ */
+var problems = function (obligations) {
+  var source = '<div id="accordionExample">\n<div class="collapse" id="collapse1"><h2>Artículo 70</h2>\n' + obligations.join('\n') + '\n</div>\n</div>';
+  return lint.lint(html.parse(source)).problems.map(function (problem) {
+    return problem.rule + ' ' + problem.severity + ' ' + problem.location.line;
+  });
+};
+
+/**
+ * Replaces a row of the valid obligation.
+ *
+ * @param {Number} index
+ *   The index of the row in FIELDS.
+ * @param {?String[]} row
+ *   The new row, NULL to remove it.
+ *
+ * @return {Array<string[]>}
+ *   The rows.
+ */
+var replace = function (index, row) {
+  var fields = FIELDS.slice();
+  fields.splice.apply(fields, [index, 1].concat(row ? [row] : []));
+  return fields;
+};
+
+test('finds no problem in a valid obligation', function () {
+  assert.deepStrictEqual(problems([obligation()]), []);
+});
+
+test('reports missing, empty, duplicated and unknown fields', function () {
+  assert.deepStrictEqual(problems([obligation({fields: replace(4, null)})]), ['missing-field error 6']);
+  assert.deepStrictEqual(problems([obligation({fields: replace(4, ['Periodo de actualización', ''])})]), ['empty-field warning 11']);
+  assert.deepStrictEqual(problems([obligation({fields: FIELDS.concat([['Periodo de actualización', 'Anual']])})]), ['duplicate-field error 13']);
+  assert.deepStrictEqual(problems([obligation({fields: FIELDS.concat([['Notas', 'x']])})]), ['unknown-field warning 13']);
+
+  // Observaciones is optional.
+  assert.deepStrictEqual(problems([obligation({fields: FIELDS.concat([['Observaciones', '']])})]), []);
+});
+
+test('checks the roman numeral of the fracción', function () {
+  assert.deepStrictEqual(problems([obligation({fields: replace(0, ['Fracción', 'Primera'])})]), ['fraccion-numeral error 6']);
+  assert.deepStrictEqual(problems([obligation({fields: replace(0, ['Fracción', 'Primera (IIII)'])})]), ['fraccion-numeral error 6']);
+  assert.deepStrictEqual(problems([obligation({fields: replace(0, ['Fracción', 'Primera (I) (II)'])})]), ['fraccion-numeral error 6']);
+});
+
+test('checks the heading', function () {
+  assert.deepStrictEqual(problems([obligation({title: null})]), ['heading-markup error 3']);
+  assert.deepStrictEqual(problems([obligation({title: ' '})]), ['heading-markup error 4']);
+  assert.deepStrictEqual(problems([obligation({title: 'Normativa /h2&gt;'})]), ['heading-markup error 4']);
+  assert.deepStrictEqual(problems([obligation({title: 'normativa'})]), ['heading-markup warning 4']);
+});
+
+test('checks the button of the panel', function () {
+  assert.deepStrictEqual(problems([obligation({toggle: null})]), ['toggle-target error 3']);
+  assert.deepStrictEqual(problems([obligation({toggle: {'data-bs-target': '#collapseExample5'}})]), ['toggle-target error 5']);
+  assert.deepStrictEqual(problems([obligation({toggle: {'aria-controls': 'collapseExample5', 'data-bs-toggle': 'tooltip'}})]), ['toggle-target error 5', 'toggle-target error 5']);
+});
+
+test('reports the duplicate ids and fracciones of the page', function () {
+  var second = obligation({title: 'Estructura orgánica', id: 'collapseExample5'});
+  assert.deepStrictEqual(problems([obligation(), second]), ['duplicate-fraccion warning 18']);
+  assert.deepStrictEqual(problems([obligation(), obligation({title: 'Estructura orgánica', fields: replace(0, ['Fracción', 'Segunda (II)'])})]), ['duplicate-id error 18']);
+});
+
+test('reports the blocks without a fracción', function () {
+  var note = obligation({title: 'Último párrafo', id: 'collapseExample5', fields: replace(0, null)});
+  assert.deepStrictEqual(problems([obligation(), note]), ['note warning 18']);
+});
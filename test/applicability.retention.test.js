@@ -0,0 +1,249 @@
+/**
+ * @file
+ * Tests the parsing of the "Periodo de conservación de la información" cells
+ * and the retention calculator.
+ *
+ * Every distinct phrase of index.html is checked against the rules it has to
+ * produce, so a new wording fails until its rules are added here.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var applicability = require('../js/applicability');
+var html = require('../scripts/lib/html');
+
+/**
+ * Builds a rule as returned by parseRetention(), without its text.
+ *
+ * @param {String} type
+ *   The type of the rule.
+ * @param {Boolean} current
+ *   Whether the current period is kept.
+ * @param {Number} previous
+ *   The number of previous periods kept.
+ * @param {?String} [scope]
+ *   The information the rule applies to.
+ *
+ * @return {Object}
+ *   The rule.
+ */
+var rule = function (type, current, previous, scope) {
+  return {type: type, current: current, previous: previous, scope: scope || null};
+};
+
+/**
+ * The rules of the phrases of index.html, keyed by phrase.
+ *
+ * @type {Object<String,Object[]>}
+ */
+var EXPECTED = {
+  '': [],
+  'Información vigente': [
+    rule('vigente', false, 0)
+  ],
+  'Información del ejercicio en curso': [
+    rule('ejercicios', true, 0)
+  ],
+  'Ejercicio en curso y ejercicio anterior': [
+    rule('ejercicios', true, 1)
+  ],
+  'Ejercicio en curso y ejercicio anterior.': [
+    rule('ejercicios', true, 1)
+  ],
+  'Ejercicio en curso y el ejercicio anterior': [
+    rule('ejercicios', true, 1)
+  ],
+  'Ejercicio en curso y del ejercicio anterior': [
+    rule('ejercicios', true, 1)
+  ],
+  'Información del ejercicio en curso y del ejercicio anterior': [
+    rule('ejercicios', true, 1)
+  ],
+  'Ejercicio en curso y ejercicio inmediato anterior': [
+    rule('ejercicios', true, 1)
+  ],
+  'Ejercicio en curso y dos ejercicios anteriores': [
+    rule('ejercicios', true, 2)
+  ],
+  'Ejercicio en curso y seis ejercicios anteriores': [
+    rule('ejercicios', true, 6)
+  ],
+  'Ejercicio en curso y dos ejercicios anteriores, únicamente respecto a las personas servidoras públicas a los que se les haya aplicado la sanción de inhabilitación': [
+    rule('ejercicios', true, 2)
+  ],
+  'Dos ejercicios anteriores concluidos': [
+    rule('ejercicios', false, 2)
+  ],
+  'Ejercicio en curso y desde la creación del sujeto obligado': [
+    rule('permanente', true, 0)
+  ],
+  'En cuanto a la normatividad: información vigente. Respecto a los recursos entregados a sindicatos: ejercicio en curso y dos ejercicios anteriores': [
+    rule('vigente', false, 0, 'la normatividad'),
+    rule('ejercicios', true, 2, 'los recursos entregados a sindicatos')
+  ],
+  'Auditorías de ejercicios anteriores que continúen vigentes, información del ejercicio en curso y tres ejercicios anteriores': [
+    rule('vigente', false, 0),
+    rule('ejercicios', true, 3)
+  ],
+  'Información de los instrumentos jurídicos vigentes, aún cuando éstos se hayan celebrado en ejercicios anteriores, ejercicio en curso y dos ejercicios anteriores': [
+    rule('vigente', false, 0),
+    rule('ejercicios', true, 2)
+  ],
+  'De los instrumentos jurídicos vigentes, aun cuando éstos se hayan celebrado en ejercicios anteriores; información del ejercicio en curso y seis ejercicios anteriores': [
+    rule('vigente', false, 0),
+    rule('ejercicios', true, 6)
+  ],
+  'Información vigente respecto al inventario de bienes muebles e inmuebles. En cuanto al inventario de altas y bajas, así como los bienes muebles e inmuebles donados, se conservará la información vigente el semestre anterior concluido': [
+    rule('vigente', false, 0),
+    rule('semestres', true, 1)
+  ],
+  'Ejercicio en curso. En caso de que el sujeto obligado haya recibido recomendación y/o sentencia conservará la información generada en el ejercicio en curso a partir de que le haya sido notificada. Una vez concluido el seguimiento de la recomendación y/o sentencia, conservar la información durante dos ejercicios': [
+    rule('ejercicios', true, 0),
+    rule('ejercicios', true, 0),
+    rule('ejercicios', false, 2)
+  ],
+  'Vigente respecto del proceso de creación e información del ejercicio en curso y seis ejercicios anteriores respecto al proceso de extinción': [
+    rule('vigente', false, 0),
+    rule('ejercicios', true, 6)
+  ]
+};
+
+/**
+ * Parses a phrase into rules without their text.
+ *
+ * @param {String} phrase
+ *   The phrase.
+ *
+ * @return {Object[]}
+ *   The rules.
+ */
+var parse = function (phrase) {
+  return applicability.parseRetention(phrase).map(function (parsed) {
+    return rule(parsed.type, parsed.current, parsed.previous, parsed.scope);
+  });
+};
+
+var model = applicability.parse(html.parse(fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8')));
+var phrases = [];
+model.records.forEach(function (record) {
+  var phrase = applicability.toPlainRecord(record).conservacion || '';
+  if (phrases.indexOf(phrase) === -1) {
+    phrases.push(phrase);
+  }
+});
+
+test('every phrase of index.html has its expected rules', function () {
+  assert.deepStrictEqual(phrases.slice().sort(), Object.keys(EXPECTED).sort());
+});
+
+phrases.forEach(function (phrase) {
+  test('parses "' + (phrase || '(empty)') + '"', function () {
+    assert.deepStrictEqual(parse(phrase), EXPECTED[phrase]);
+  });
+});
+
+test('keeps the text of each clause', function () {
+  var rules = applicability.parseRetention('En cuanto a la normatividad: información vigente. Respecto a los recursos entregados a sindicatos: ejercicio en curso y dos ejercicios anteriores');
+  assert.strictEqual(rules[0].text, 'En cuanto a la normatividad: información vigente');
+  assert.strictEqual(rules[1].text, 'Respecto a los recursos entregados a sindicatos: ejercicio en curso y dos ejercicios anteriores');
+});
+
+test('falls back to an unknown rule for phrases it does not understand', function () {
+  assert.deepStrictEqual(parse('Hasta que lo determine el Comité de Transparencia'), [
+    rule('desconocido', false, 0)
+  ]);
+  assert.deepStrictEqual(parse('Información vigente. Según disponibilidad presupuestal'), [
+    rule('vigente', false, 0),
+    rule('desconocido', false, 0)
+  ]);
+});
+
+test('reads numbers written with digits', function () {
+  assert.deepStrictEqual(parse('Ejercicio en curso y 12 ejercicios anteriores'), [
+    rule('ejercicios', true, 12)
+  ]);
+});
+
+/**
+ * The retention calculator, loaded in a window.
+ *
+ * @type {Object}
+ */
+var retention = require('./lib/browser')('', ['js/applicability.js', 'js/applicability.retention.js']).Drupal.applicability.retention;
+
+var TODAY = new Date(2026, 9, 19);
+
+/**
+ * Checks a document of a record with a conservation period.
+ *
+ * @param {String} conservacion
+ *   The conservation period.
+ * @param {Date} date
+ *   The date of the document.
+ * @param {Object} [options]
+ *   The options of check(), "today" defaults to TODAY.
+ *
+ * @return {Object}
+ *   The result of check().
+ */
+var check = function (conservacion, date, options) {
+  return retention.check({conservacion: conservacion}, date, Object.assign({today: TODAY}, options));
+};
+
+test('keeps the documents of the concluded fiscal years', function () {
+  var result = check('Dos ejercicios anteriores concluidos', new Date(2024, 4, 1));
+  assert.strictEqual(result.publish, true);
+  assert.strictEqual(result.pending, false);
+  assert.strictEqual(result.until.getTime(), new Date(2026, 11, 31).getTime());
+  assert.strictEqual(check('Dos ejercicios anteriores concluidos', new Date(2023, 11, 31)).publish, false);
+});
+
+test('keeps the documents newer than the period, pending', function () {
+  [new Date(2026, 0, 15), new Date(2027, 2, 1)].forEach(function (date) {
+    var result = check('Dos ejercicios anteriores concluidos', date);
+    assert.strictEqual(result.publish, true);
+    assert.strictEqual(result.pending, true);
+    assert.strictEqual(result.until.getTime(), new Date(date.getFullYear() + 2, 11, 31).getTime());
+  });
+  var future = check('Ejercicio en curso y ejercicio anterior', new Date(2027, 0, 1));
+  assert.strictEqual(future.publish, true);
+  assert.strictEqual(future.pending, true);
+});
+
+test('keeps the documents of the current and previous fiscal years', function () {
+  var current = check('Ejercicio en curso y dos ejercicios anteriores', new Date(2026, 1, 1));
+  assert.strictEqual(current.publish, true);
+  assert.strictEqual(current.pending, false);
+  assert.strictEqual(current.until.getTime(), new Date(2028, 11, 31).getTime());
+  assert.strictEqual(check('Ejercicio en curso y dos ejercicios anteriores', new Date(2024, 0, 1)).publish, true);
+  assert.strictEqual(check('Ejercicio en curso y dos ejercicios anteriores', new Date(2023, 11, 31)).publish, false);
+  assert.strictEqual(check('Información del ejercicio en curso', new Date(2026, 0, 1)).until.getTime(), new Date(2026, 11, 31).getTime());
+});
+
+test('counts semesters', function () {
+  var phrase = 'Se conservará la información vigente el semestre anterior concluido';
+  assert.strictEqual(check(phrase, new Date(2026, 2, 1)).publish, true);
+  assert.strictEqual(check(phrase, new Date(2026, 2, 1)).until.getTime(), new Date(2026, 11, 31).getTime());
+  assert.strictEqual(check(phrase, new Date(2025, 11, 31)).publish, false);
+  assert.strictEqual(check(phrase, new Date(2027, 0, 1)).pending, true);
+});
+
+test('depends on whether the information is in force', function () {
+  assert.strictEqual(check('Información vigente', new Date(2010, 0, 1)).publish, null);
+  assert.strictEqual(check('Información vigente', new Date(2010, 0, 1), {vigente: true}).publish, true);
+  assert.strictEqual(check('Información vigente', new Date(2010, 0, 1), {vigente: false}).publish, false);
+});
+
+test('lets the most permissive rule win', function () {
+  var phrase = 'Auditorías de ejercicios anteriores que continúen vigentes, información del ejercicio en curso y tres ejercicios anteriores';
+  var result = check(phrase, new Date(2020, 0, 1), {vigente: true});
+  assert.strictEqual(result.publish, true);
+  assert.strictEqual(result.until, null);
+  assert.strictEqual(check(phrase, new Date(2020, 0, 1)).publish, null);
+  assert.strictEqual(check(phrase, new Date(2024, 0, 1)).until.getTime(), new Date(2027, 11, 31).getTime());
+  assert.strictEqual(check('Ejercicio en curso y desde la creación del sujeto obligado', new Date(1995, 0, 1)).publish, true);
+  assert.strictEqual(check('', new Date(2026, 0, 1)).publish, null);
+});
@@ -0,0 +1,51 @@
+/**
+ * @file
+ * Tests the model of the applicability table built from index.html.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var applicability = require('../js/applicability');
+var accordion = require('../scripts/lib/accordion');
+var html = require('../scripts/lib/html');
+
+var model = applicability.parse(html.parse(fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8')));
+
+test('parses the headings without stray markup', function () {
+  assert.strictEqual(applicability.headingText(html.parse('<h2>Evaluaciones y encuestas/h2&gt;\n</h2>').children[0]), 'Evaluaciones y encuestas');
+  assert.strictEqual(applicability.headingText(html.parse('<h2>&lt;b&gt;Normativa&lt;/b&gt;</h2>').children[0]), 'Normativa');
+  assert.strictEqual(applicability.headingText(html.parse('<h2>Ingresos recibidos y/o donados</h2>').children[0]), 'Ingresos recibidos y/o donados');
+
+  var titles = model.records.filter(function (record) {
+    return record.slug === 'art70-fr-xl-evaluaciones-y-encuestas';
+  }).map(function (record) {
+    return record.title;
+  });
+  assert.deepStrictEqual(titles, ['Evaluaciones y encuestas']);
+});
+
+test('keeps the blocks without a fracción apart from the obligations', function () {
+  assert.deepStrictEqual(model.notes.map(function (note) {
+    return note.panel.getAttribute('id');
+  }), ['collapseExample51']);
+  assert.ok(model.records.every(function (record) {
+    return record.fraccion;
+  }));
+
+  var article = model.articles.filter(function (article) {
+    return article.number === 70;
+  })[0];
+  assert.deepStrictEqual(article.notes, model.notes);
+  assert.strictEqual(applicability.toJSON(model).articles[0].notes[0].id, 'collapseExample51');
+});
+
+test('renders the notes after the obligations of their article', function () {
+  var data = applicability.toJSON(model);
+  var records = data.articles[0].records;
+  var markup = accordion.render(data);
+  var article = markup.slice(0, markup.indexOf('id="accordionExample1"'));
+  assert.ok(article.indexOf('id="collapseExample51"') > article.indexOf('id="' + records[records.length - 1].id + '"'));
+});
@@ -0,0 +1,113 @@
+/**
+ * @file
+ * Tests the HTML tree builder of the Node scripts.
+ *
+ * The "start" and "end" offsets are used to rewrite index.html in place, so
+ * they are checked against the source of each element.
+ */
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var html = require('../scripts/lib/html');
+
+/**
+ * Lists the elements of a tree, depth first.
+ *
+ * @param {Object} element
+ *   The root element.
+ *
+ * @return {Object[]}
+ *   The elements, without the root.
+ */
+var all = function (element) {
+  return element.children.reduce(function (list, child) {
+    return list.concat([child], all(child));
+  }, []);
+};
+
+/**
+ * Maps the elements of a source to their source.
+ *
+ * @param {String} source
+ *   The HTML source.
+ *
+ * @return {String[]}
+ *   The tag name and source of each element.
+ */
+var sources = function (source) {
+  return all(html.parse(source)).map(function (element) {
+    return element.tagName + ' ' + source.slice(element.start, element.end);
+  });
+};
+
+test('builds the tree with attributes and text', function () {
+  var root = html.parse('<div id="a" class=\'b c\' data-x=1 hidden><p title="&quot;x&quot; &amp; y">Uno &amp; dos&nbsp;tres &#193;&#x41;</p></div>');
+  var div = root.children[0];
+
+  assert.strictEqual(root.tagName, '#document');
+  assert.strictEqual(div.tagName, 'DIV');
+  assert.strictEqual(div.parentNode, root);
+  assert.deepStrictEqual(div.attributes, {id: 'a', 'class': 'b c', 'data-x': '1', hidden: ''});
+  assert.strictEqual(div.getAttribute('missing'), null);
+  assert.strictEqual(div.hasAttribute('hidden'), true);
+  assert.strictEqual(div.children[0].getAttribute('title'), '"x" & y');
+  assert.strictEqual(div.textContent, 'Uno & dos tres ÁA');
+});
+
+test('decodes only the known named entities', function () {
+  assert.strictEqual(html.decode('&lt;b&gt; &apos; &copy; &#58;'), '<b> \' &copy; :');
+});
+
+test('keeps the source offsets of the elements', function () {
+  var source = '<!DOCTYPE html>\n<div id="a">\n  <!-- <p>comment</p> -->\n  <p>uno <b>dos</b></p><br><img src="x.png"/>\n</div>\n';
+  assert.deepStrictEqual(sources(source), [
+    'DIV <div id="a">\n  <!-- <p>comment</p> -->\n  <p>uno <b>dos</b></p><br><img src="x.png"/>\n</div>',
+    'P <p>uno <b>dos</b></p>',
+    'B <b>dos</b>',
+    'BR <br>',
+    'IMG <img src="x.png"/>'
+  ]);
+});
+
+test('ends the elements left open where their parent ends', function () {
+  var source = '<div><p>uno<p>dos</div><span>tres';
+  assert.deepStrictEqual(sources(source), [
+    'DIV <div><p>uno<p>dos</div>',
+    'P <p>uno<p>dos',
+    'P <p>dos',
+    'SPAN <span>tres'
+  ]);
+});
+
+test('ignores stray end tags', function () {
+  var root = html.parse('<div>uno</span></p>dos</div>');
+  assert.strictEqual(root.children.length, 1);
+  assert.strictEqual(root.children[0].textContent, 'unodos');
+  assert.strictEqual(root.children[0].end, 28);
+});
+
+test('keeps the content of the raw text elements as text', function () {
+  var source = '<script>if (a <b) { x = "</div>"; }</SCRIPT><p>t</p><textarea><b>x</b></textarea><style>p {}';
+  var root = html.parse(source);
+
+  assert.deepStrictEqual(root.children.map(function (element) {
+    return element.tagName;
+  }), ['SCRIPT', 'P', 'TEXTAREA', 'STYLE']);
+  assert.strictEqual(root.children[0].children.length, 0);
+  assert.strictEqual(root.children[0].textContent, 'if (a <b) { x = "</div>"; }');
+  assert.strictEqual(root.children[2].textContent, '<b>x</b>');
+  assert.deepStrictEqual(sources(source), [
+    'SCRIPT <script>if (a <b) { x = "</div>"; }</SCRIPT>',
+    'P <p>t</p>',
+    'TEXTAREA <textarea><b>x</b></textarea>',
+    'STYLE <style>p {}'
+  ]);
+});
+
+test('counts the lines of the elements', function () {
+  var root = html.parse('<div\n  id="a">\n<script>\n\n</script>\n<!--\n-->\n<p>x\n</p><span>y</span>');
+  assert.deepStrictEqual(all(root).map(function (element) {
+    return element.tagName + ' ' + element.line;
+  }), ['DIV 1', 'SCRIPT 3', 'P 8', 'SPAN 9']);
+});
@@ -0,0 +1,47 @@
+/**
+ * @file
+ * Loads the theme scripts into a jsdom window for the tests.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * The scripts of the page, in the order they are loaded.
+ *
+ * @type {String[]}
+ */
+var SCRIPTS = [
+  'js/js_5xhiqGDcQq6s1THtz3kTbDs4GDTC8OswIY5nNLtsayU.js',
+  'js/bootstrap.min.js',
+  'js/js_Nw_mKFdjRvmMB_5MbpMI4KITQOavDkuf2e2ohKCj1AI.js',
+  'js/file-types.js'
+];
+
+/**
+ * Creates a window running the theme scripts.
+ *
+ * @param {String} [body]
+ *   The markup of the body.
+ * @param {String[]} [scripts]
+ *   Scripts of the applicability table to load after the theme ones, relative
+ *   to the root of the repository.
+ *
+ * @return {Window}
+ *   The window, with jQuery, Drupal and Drupal.bootstrap loaded.
+ */
+module.exports = function (body, scripts) {
+  var settings = {path: {baseUrl: '/', pathPrefix: ''}, pluralDelimiter: '\u0003', bootstrap: {}, google_analytics: {}};
+  var dom = new JSDOM('<!DOCTYPE html><html><head><script type="application/json" data-drupal-selector="drupal-settings-json">' + JSON.stringify(settings) + '</script></head><body>' + (body || '') + '</body></html>', {
+    runScripts: 'outside-only',
+    url: 'https://www.scjn.gob.mx/transparencia/tabla'
+  });
+  SCRIPTS.concat(scripts || []).forEach(function (script) {
+    dom.window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+  });
+  return dom.window;
+};
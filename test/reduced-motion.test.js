@@ -0,0 +1,35 @@
+/**
+ * @file
+ * Tests the reduced motion setting shared by the theme and the toolbar.
+ */
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var browser = require('./lib/browser');
+
+test('follows the system until a choice is set', function () {
+  var window = browser();
+  var Bootstrap = window.Drupal.bootstrap;
+  window.matchMedia = function (query) {
+    return {matches: query === '(prefers-reduced-motion: reduce)'};
+  };
+
+  assert.strictEqual(Bootstrap.reducedMotion(), true);
+  Bootstrap.reducedMotion.set(false);
+  assert.strictEqual(Bootstrap.reducedMotion(), false);
+  Bootstrap.reducedMotion.set(null);
+  assert.strictEqual(Bootstrap.reducedMotion(), true);
+});
+
+test('receives the choice made in the toolbar', function () {
+  var window = browser('', ['js/applicability.preferences.js', 'js/applicability.js', 'js/applicability.toolbar.js']);
+  var Bootstrap = window.Drupal.bootstrap;
+
+  window.Drupal.applicability.preferences.update({motion: true});
+  assert.strictEqual(Bootstrap.reducedMotion(), true);
+  window.Drupal.applicability.preferences.update({motion: false});
+  assert.strictEqual(Bootstrap.reducedMotion(), false);
+  window.Drupal.applicability.preferences.update({motion: null});
+  assert.strictEqual(Bootstrap.reducedMotion.chosen, null);
+});
@@ -0,0 +1,298 @@
+/**
+ * @file
+ * Tests the URL and HTML filters and the escaping theme hooks with hostile
+ * inputs.
+ */
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var browser = require('./lib/browser');
+var templates = require('../js/applicability.templates');
+var urlFilter = require('../js/url-filter');
+
+var window = browser();
+var Drupal = window.Drupal;
+var Bootstrap = window.Drupal.bootstrap;
+
+/**
+ * URLs running script when followed, plain or obfuscated.
+ *
+ * @type {String[]}
+ */
+var HOSTILE_URLS = [
+  'javascript:alert(1)',
+  'JaVaScRiPt:alert(1)',
+  '  javascript:alert(1)',
+  'java\tscript:alert(1)',
+  'java\nscript:alert(1)',
+  'java\u0000script:alert(1)',
+  '\u0001javascript:alert(1)',
+  'javascript :alert(1)',
+  '&#106;avascript:alert(1)',
+  '&#x6A;avascript:alert(1)',
+  '&#106&#97&#118&#97&#115&#99&#114&#105&#112&#116&#58alert(1)',
+  'javascript&colon;alert(1)',
+  'java&Tab;script:alert(1)',
+  'data:text/html,<script>alert(1)</script>',
+  'DATA:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+  ' data:image/svg+xml,<svg onload=alert(1)>',
+  'vbscript:msgbox(1)',
+  'VBScript:msgbox(1)',
+  'file:///etc/passwd'
+];
+
+/**
+ * URLs kept as they are.
+ *
+ * @type {String[]}
+ */
+var SAFE_URLS = [
+  'https://www.scjn.gob.mx/transparencia',
+  'HTTP://www.scjn.gob.mx/',
+  '/sites/default/files/informe.pdf',
+  'informe.pdf',
+  '../informe:final.pdf',
+  '?q=javascript:alert(1)',
+  '#javascript:alert(1)',
+  'mailto:transparencia@scjn.gob.mx',
+  'tel:5541131000'
+];
+
+/**
+ * Parses markup the way the browser does.
+ *
+ * @param {String} markup
+ *   The markup.
+ *
+ * @return {Element}
+ *   A container holding the parsed markup.
+ */
+var parse = function (markup) {
+  var container = window.document.createElement('div');
+  container.innerHTML = markup;
+  return container;
+};
+
+/**
+ * Asserts a container holds no element running script.
+ *
+ * @param {Element} container
+ *   The container.
+ */
+var assertInert = function (container) {
+  assert.strictEqual(container.querySelectorAll('script, img, iframe, object, embed, svg').length, 0);
+  Array.prototype.forEach.call(container.querySelectorAll('*'), function (element) {
+    Array.prototype.forEach.call(element.attributes, function (attribute) {
+      assert.ok(!/^on/i.test(attribute.name), 'Unexpected ' + attribute.name + ' attribute');
+    });
+    if (element.hasAttribute('href')) {
+      assert.ok(!/^(javascript|data|vbscript):$/.test(element.protocol), 'Unexpected ' + element.protocol + ' link');
+    }
+  });
+};
+
+test('filters the URLs running script', function () {
+  HOSTILE_URLS.forEach(function (url) {
+    assert.strictEqual(Bootstrap.sanitizeUrl(url), '#', JSON.stringify(url));
+  });
+});
+
+test('keeps the safe URLs', function () {
+  SAFE_URLS.forEach(function (url) {
+    assert.strictEqual(Bootstrap.sanitizeUrl(url), url, JSON.stringify(url));
+  });
+  assert.strictEqual(Bootstrap.sanitizeUrl(null), '');
+  assert.strictEqual(Bootstrap.sanitizeUrl(void 0), '');
+});
+
+test('filters the URLs of the templates as the theme does', function () {
+  HOSTILE_URLS.concat(SAFE_URLS, [null, void 0, '']).forEach(function (url) {
+    assert.strictEqual(urlFilter.sanitize(url), Bootstrap.sanitizeUrl(url), JSON.stringify(url));
+  });
+});
+
+test('filters the links of the panels rendered on demand', function () {
+  HOSTILE_URLS.concat(['javascript:alert(1)//informe.pdf']).forEach(function (url) {
+    var container = parse(templates.body({link: url, fields: [{label: 'Denominación de la información', value: 'Informe'}]}).join('\n'));
+    assertInert(container);
+    assert.strictEqual(container.querySelector('a').getAttribute('href'), '#', JSON.stringify(url));
+  });
+
+  var link = parse(templates.body({link: '/files/informe.pdf', fields: [{label: 'Denominación de la información', value: 'Informe'}]}).join('\n')).querySelector('a');
+  assert.strictEqual(link.getAttribute('href'), '/files/informe.pdf');
+  assert.ok(link.querySelector('em.icon-pdf'));
+});
+
+test('entity obfuscated schemes are not decoded into links', function () {
+  ['javascript&colon;alert(1)', 'javascript&#58;alert(1)', '&#x6A;avascript&#x3A;alert(1)'].forEach(function (url) {
+    var container = parse(Drupal.theme('element', 'a', {href: url}, 'x'));
+    assertInert(container);
+    assert.strictEqual(container.firstChild.protocol, 'https:', JSON.stringify(url));
+  });
+});
+
+test('escapes the attributes of elements', function () {
+  var hostile = '"><script>alert(1)</script><img src=x onerror=alert(1)>';
+  var container = parse(Drupal.theme('element', 'a', {
+    href: '/informe.pdf',
+    title: hostile,
+    'aria-label': '\' onmouseover=\'alert(1)',
+    'class': ['btn', '"><b>']
+  }, 'Informe'));
+
+  assertInert(container);
+  assert.strictEqual(container.children.length, 1);
+  assert.strictEqual(container.firstChild.getAttribute('title'), hostile);
+  assert.strictEqual(container.firstChild.getAttribute('aria-label'), '\' onmouseover=\'alert(1)');
+  assert.strictEqual(container.querySelectorAll('b').length, 0);
+});
+
+test('escapes the text of elements', function () {
+  var text = '</script><script>alert(1)</script></span><img src=x onerror=alert(1)>';
+  var container = parse(Drupal.theme('element', 'span', {}, text));
+
+  assertInert(container);
+  assert.strictEqual(container.children.length, 1);
+  assert.strictEqual(container.firstChild.textContent, text);
+
+  // Escaped text stays text inside a script element too.
+  assert.ok(Drupal.theme('element', 'script', {type: 'application/json'}, '</script><script>alert(1)').indexOf('</script><script>') === -1);
+});
+
+test('refuses invalid tag names', function () {
+  assert.strictEqual(Drupal.theme('element', 'img src=x onerror=alert(1)', {}), '');
+  assert.strictEqual(Drupal.theme('element', 'a><script', {}), '');
+});
+
+test('escapes the file names and descriptions of file links', function () {
+  var path = '/files/"><img src=x onerror=alert(1)>informe.pdf';
+  var text = 'Informe <b>anual</b> "2024"';
+  var container = parse(Drupal.theme('fileLink', path, text));
+  var link = container.firstChild;
+
+  assertInert(container);
+  assert.strictEqual(container.children.length, 1);
+  assert.strictEqual(container.querySelectorAll('b').length, 0);
+  assert.strictEqual(link.getAttribute('href'), path);
+  assert.ok(link.getAttribute('aria-label').indexOf(text) !== -1);
+  assert.ok(link.querySelector('em.icon-pdf'));
+});
+
+test('filters the scheme of file links', function () {
+  ['javascript:alert(1)//informe.pdf', 'data:text/html,<script>alert(1)</script>.pdf', 'VBScript:msgbox(1).doc'].forEach(function (path) {
+    var container = parse(window.composeLink(void 0, path, 'Informe'));
+    assertInert(container);
+    assert.strictEqual(container.firstChild.getAttribute('href'), '#');
+  });
+});
+
+test('escapes the classes of file icons', function () {
+  var container = parse(Drupal.theme('fileIcon', {color: 'list-icons" onclick="alert(1)', icon: 'icon-pdf"><script>alert(1)</script>'}));
+
+  assertInert(container);
+  assert.strictEqual(container.querySelectorAll('div, em').length, 2);
+});
+
+test('escapes the attributes of help blocks', function () {
+  var container = parse(Drupal.theme('helpBlock', {id: '"><script>alert(1)</script>', 'class': ['" onfocus="alert(1)']}));
+
+  assertInert(container);
+  assert.strictEqual(container.children.length, 1);
+  assert.ok(container.firstChild.classList.contains('help-block'));
+  assert.strictEqual(container.firstChild.id, '"><script>alert(1)</script>');
+});
+
+test('drops the tags outside the allowlist and keeps their content', function () {
+  var container = parse(Bootstrap.sanitizeHtml('<p>Informe <font color="red">anual</font> <marquee>2024</marquee> <img src=x onerror=alert(1)><input autofocus onfocus=alert(1)></p>'));
+
+  assertInert(container);
+  assert.strictEqual(container.querySelectorAll('font, marquee, input').length, 0);
+  assert.strictEqual(container.innerHTML, '<p>Informe anual 2024 </p>');
+});
+
+test('removes the elements whose content is not displayed', function () {
+  [
+    '<script>alert(1)</script>',
+    '<SCRIPT SRC=//example.com/xss.js></SCRIPT>',
+    '<style>body{background:url(javascript:alert(1))}</style>',
+    '<svg><script>alert(1)</script></svg>',
+    '<svg onload=alert(1)><a xlink:href="javascript:alert(1)">x</a></svg>',
+    '<math><mtext><a href="javascript:alert(1)">x</a></mtext></math>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<template><img src=x onerror=alert(1)></template>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>'
+  ].forEach(function (html) {
+    var filtered = Bootstrap.sanitizeHtml('<span>a</span>' + html + '<span>b</span>');
+    var container = parse(filtered);
+    assertInert(container);
+    assert.strictEqual(container.querySelectorAll('style, math, template, noscript').length, 0, html);
+    assert.strictEqual(container.textContent.indexOf('alert'), -1, html);
+  });
+});
+
+test('filters the scheme of links', function () {
+  [
+    'javascript:alert(1)',
+    'JavaScript:alert(1)',
+    ' javascript:alert(1)',
+    'java&#x09;script:alert(1)',
+    'java&#10;script:alert(1)',
+    '&#106;avascript:alert(1)',
+    '&#x6A&#x61&#x76&#x61&#x73&#x63&#x72&#x69&#x70&#x74&#x3A;alert(1)',
+    'javascript&colon;alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'vbscript:msgbox(1)'
+  ].forEach(function (url) {
+    var container = parse(Bootstrap.sanitizeHtml('<a href="' + url.replace(/"/g, '&quot;') + '">x</a>'));
+    assertInert(container);
+    assert.strictEqual(container.firstChild.getAttribute('href'), '#', JSON.stringify(url));
+  });
+
+  var link = parse(Bootstrap.sanitizeHtml('<a href="/informe.pdf" title="Informe">x</a>')).firstChild;
+  assert.strictEqual(link.getAttribute('href'), '/informe.pdf');
+  assert.strictEqual(link.getAttribute('title'), 'Informe');
+});
+
+test('removes the event handlers and the attributes outside the allowlist', function () {
+  var container = parse(Bootstrap.sanitizeHtml('<p onclick="alert(1)" ONMOUSEOVER="alert(1)" style="background:url(javascript:alert(1))" id="x" class="lead" aria-label="Nota"><b onfocus=alert(1) tabindex=1>a</b><a href="/" onpointerenter=alert(1) download>b</a></p>'));
+  var paragraph = container.firstChild;
+
+  assertInert(container);
+  assert.deepStrictEqual(Array.prototype.map.call(paragraph.attributes, function (attribute) {
+    return attribute.name;
+  }).sort(), ['aria-label', 'class']);
+  assert.strictEqual(paragraph.querySelector('b').attributes.length, 0);
+  assert.deepStrictEqual(Array.prototype.map.call(paragraph.querySelector('a').attributes, function (attribute) {
+    return attribute.name;
+  }), ['href']);
+});
+
+test('adds rel to the links opening a new window', function () {
+  var link = parse(Bootstrap.sanitizeHtml('<a href="https://example.com/" target="_blank" rel="opener">x</a>')).firstChild;
+  assert.strictEqual(link.getAttribute('target'), '_blank');
+  assert.strictEqual(link.getAttribute('rel'), 'noopener noreferrer');
+
+  assert.strictEqual(parse(Bootstrap.sanitizeHtml('<a href="/">x</a>')).firstChild.hasAttribute('rel'), false);
+});
+
+test('drops the comments and accepts elements and jQuery objects', function () {
+  assert.strictEqual(Bootstrap.sanitizeHtml('<!-- <img src=x onerror=alert(1)> --><b>a</b>'), '<b>a</b>');
+  assert.strictEqual(Bootstrap.sanitizeHtml(parse('<b onclick="alert(1)">a</b>')), '<b>a</b>');
+  assert.strictEqual(Bootstrap.sanitizeHtml(window.jQuery('<div><i onclick="alert(1)">a</i></div>')), '<i>a</i>');
+  assert.strictEqual(Bootstrap.sanitizeHtml(''), '');
+  assert.strictEqual(Bootstrap.sanitizeHtml(null), '');
+});
+
+test('follows the given policy', function () {
+  assert.strictEqual(Bootstrap.sanitizeHtml('<p class="lead"><b>a</b></p>', {p: []}), '<p>a</p>');
+  assert.strictEqual(Bootstrap.sanitizeHtml('<p class="lead">a</p>', {'*': [new window.RegExp('^cl')], p: []}), '<p class="lead">a</p>');
+});
+
+test('filters the HTML of the tooltips and popovers', function () {
+  ['tooltip', 'popover'].forEach(function (plugin) {
+    var defaults = window.jQuery.fn[plugin].Constructor.DEFAULTS;
+    assert.strictEqual(defaults.sanitize, true, plugin);
+    assert.strictEqual(defaults.sanitizeFn('<b onclick="alert(1)">a</b><script>alert(1)</script>'), '<b>a</b>', plugin);
+  });
+});